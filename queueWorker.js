@@ -1,11 +1,22 @@
 require('dotenv').config({ path: require('path').resolve(__dirname, '.env') }); // Ensure path is specified HERE TOO
-const { Worker } = require('bullmq');
+const { Worker, DelayedError } = require('bullmq');
 const logger = require('./utils/logger');
 const { redisConnectionOptions, sessionManager, connectRedis, redisClient } = require('./utils/redisClient');
 const { dbService } = require('./utils/dbClient');
 const elevenlabs = require('./utils/elevenlabsClient');
 const twilio = require('twilio');
 const { v4: uuidv4 } = require('uuid');
+const campaignManager = require('./utils/campaignManager');
+const dncRegistry = require('./utils/dncRegistry');
+const callingHours = require('./utils/callingHours');
+const voicemailDrop = require('./utils/voicemailDrop');
+const callerIdPool = require('./utils/callerIdPool');
+const personalization = require('./utils/personalization');
+const callerContext = require('./utils/callerContext');
+const voiceSelection = require('./utils/voiceSelection');
+const callRecorder = require('./utils/callRecorder');
+const webhookDispatcher = require('./utils/webhookDispatcher');
+const twilioSecurity = require('./utils/twilioSecurity');
 
 // Initialize Twilio client (needed for making the call)
 const twilioClient = twilio(
@@ -22,6 +33,10 @@ const {
 } = require('./utils/elevenlabsHandlers'); // Use the new handler module
 
 const QUEUE_NAME = 'outbound-calls';
+// How long a job waits before re-checking the Do-Not-Call list after a lookup failure
+const DNC_CHECK_RETRY_MS = (parseInt(process.env.DNC_CHECK_RETRY_SECONDS, 10) || 60) * 1000;
+// How long a campaign job waits before re-checking a paused campaign
+const CAMPAIGN_PAUSED_RETRY_MS = (parseInt(process.env.CAMPAIGN_PAUSED_RETRY_SECONDS, 10) || 60) * 1000;
 
 logger.info(`Worker connecting to Redis at: ${redisConnectionOptions.url || '(default)'}`);
 
@@ -40,37 +55,112 @@ async function initializeWorkerDependencies() {
 }
 // ------------------------------------
 
-// Function to send welcome message
-async function sendWelcomeMessage(sessionId) {
-    const logPrefix = `[${sessionId}]`;
-    // Simple text-to-speech welcome message
-    const welcomeText = "Hello! I'm your voice assistant. How can I help you today?";
-    
-    try {
-        await redisClient.publish('elevenlabs-tts-request', JSON.stringify({
-            sessionId,
-            text: welcomeText,
-            voiceId: process.env.ELEVENLABS_VOICE_ID,
-            modelId: 'eleven_monolingual_v1'
-        }));
-        
-        logger.info(`${logPrefix} Sent welcome message request`);
-        return true;
-    } catch (error) {
-        logger.error(`${logPrefix} Error sending welcome message: ${error.message}`);
-        return false;
-    }
-}
-
 // Define the worker
-const processJob = async (job) => {
-    const { to, from, n8nWorkflowUrl, jobId } = job.data;
+const processJob = async (job, token) => {
+    const {
+        to, from: requestedFrom, n8nWorkflowUrl, timezone, callingWindow, jobId, campaignId, leadId,
+        attempt = 1, originalCallId = null, leadName, voicemailMessage,
+        variables, firstMessage, prompt, agentId, voiceId, modelId, record = false
+    } = job.data;
     const workerLogPrefix = `[Worker][Job ${jobId}]`;
-    logger.info(`${workerLogPrefix} Processing job for call to ${to} from ${from}`);
+    logger.info(`${workerLogPrefix} Processing job for call to ${to} (attempt ${attempt})`);
 
     let elevenLabsSessionId = null;
+    let callerId = null;
+    let callPlaced = false;
 
     try {
+        // 0. Campaign jobs only dial while their campaign is running. Queued and
+        // delayed jobs wait out a pause and are dropped once the campaign is stopped
+        if (campaignId) {
+            const campaign = await dbService.getCampaign(campaignId);
+            if (!campaign || campaign.status === 'paused') {
+                const retryTime = new Date(Date.now() + CAMPAIGN_PAUSED_RETRY_MS);
+                const reason = campaign ? `campaign ${campaignId} is paused` : `campaign ${campaignId} could not be loaded`;
+                logger.info(`${workerLogPrefix} Not dialing ${to}: ${reason}. Delaying until ${retryTime.toISOString()}`);
+                await job.log(`Delayed until ${retryTime.toISOString()}: ${reason}`);
+                await job.moveToDelayed(retryTime.getTime(), token);
+                throw new DelayedError();
+            }
+            if (campaign.status !== 'running') {
+                logger.info(`${workerLogPrefix} Campaign ${campaignId} is ${campaign.status}. Dropping call to ${to}.`);
+                await job.log(`Dropped: campaign ${campaignId} is ${campaign.status}`);
+                if (leadId) {
+                    // Same state a stop leaves jobs it removes from the queue in
+                    await dbService.updateLead(leadId, { status: 'pending' });
+                }
+                return { skipped: true, reason: `campaign_${campaign.status}`, to };
+            }
+        }
+
+        // 0a. Never dial a number on the Do-Not-Call list. If the list cannot be
+        // read the call is not placed; the job is retried after a short delay
+        let suppressed;
+        try {
+            suppressed = await dncRegistry.isSuppressed(to);
+        } catch (dncError) {
+            const retryTime = new Date(Date.now() + DNC_CHECK_RETRY_MS);
+            logger.error(`${workerLogPrefix} Cannot check the Do-Not-Call list for ${to}. Delaying until ${retryTime.toISOString()}:`, dncError.message);
+            await job.log(`Delayed until ${retryTime.toISOString()}: Do-Not-Call list unavailable`);
+            await job.moveToDelayed(retryTime.getTime(), token);
+            throw new DelayedError();
+        }
+        if (suppressed) {
+            logger.warn(`${workerLogPrefix} ${to} is on the Do-Not-Call list. Suppressing call.`);
+            await job.log(`Suppressed: ${to} is on the Do-Not-Call list`);
+            if (leadId) {
+                await campaignManager.recordLeadCallStatus(leadId, 'suppressed');
+            }
+            return { suppressed: true, to };
+        }
+
+        // 0b. Only dial inside the lead's local calling window; otherwise push
+        // the job back as a delayed job for the start of the next window
+        const leadTimezone = callingHours.resolveTimezone(to, timezone);
+        const { window, error: windowError } = callingHours.resolveWindow(callingWindow || {});
+        if (windowError) {
+            throw new Error(`Invalid calling window: ${windowError}`);
+        }
+        const nextAllowedTime = callingHours.getNextAllowedTime(leadTimezone, window);
+        if (nextAllowedTime) {
+            logger.info(`${workerLogPrefix} Outside calling hours for ${to} (${leadTimezone}). Delaying until ${nextAllowedTime.toISOString()}`);
+            await job.log(`Delayed until ${nextAllowedTime.toISOString()}: outside calling hours in ${leadTimezone}`);
+            await job.moveToDelayed(nextAllowedTime.getTime(), token);
+            throw new DelayedError();
+        }
+
+        // 0c. Pick the caller ID from the number pool, honouring per-number daily caps
+        callerId = await callerIdPool.selectCallerId(to, { from: requestedFrom });
+        if (!callerId) {
+            const capResetTime = callerIdPool.getNextCapReset();
+            logger.warn(`${workerLogPrefix} No caller ID available under its daily cap. Delaying until ${capResetTime.toISOString()}`);
+            await job.log(`Delayed until ${capResetTime.toISOString()}: all caller-ID numbers at their daily cap`);
+            await job.moveToDelayed(capResetTime.getTime(), token);
+            throw new DelayedError();
+        }
+        const from = callerId.from;
+        logger.info(`${workerLogPrefix} Calling ${to} from ${from}${callerId.pooled ? ' (number pool)' : ''}`);
+
+        // Per-lead variables and the personalized opening for the conversation
+        const callVariables = personalization.buildVariables(variables, { name: leadName, to });
+        // Earlier calls with the lead ({{caller_context}} etc.); the job's own variables take precedence
+        const context = await callerContext.buildCallerContext(to);
+        const conversationOptions = personalization.buildConversationOptions({ ...context, ...callVariables }, { firstMessage, prompt });
+
+        // Agent, voice and TTS model for this call (validated against the allowlists at /start)
+        const voice = voiceSelection.resolveSelection({ agentId, voiceId, modelId });
+        // Only what was requested is overridden; otherwise the agent's own TTS settings apply
+        const ttsOverride = {};
+        if (voiceId) {
+            ttsOverride.voice_id = voice.voiceId;
+        }
+        if (modelId) {
+            ttsOverride.model_id = voice.modelId;
+        }
+        if (Object.keys(ttsOverride).length > 0) {
+            conversationOptions.conversationConfigOverride.tts = ttsOverride;
+        }
+
         // Generate ElevenLabs session ID using UUID 
         elevenLabsSessionId = `session_${Date.now()}_${uuidv4().substring(0, 6)}`;
         const logPrefix = `[${elevenLabsSessionId}]`;
@@ -89,6 +179,21 @@ const processJob = async (job) => {
             startTime: startTime.toISOString(),
             n8nWorkflowUrl: n8nWorkflowUrl || null,
             jobId: jobId,
+            campaignId: campaignId || null,
+            leadId: leadId || null,
+            timezone: timezone || null,
+            callingWindow: callingWindow || null,
+            attempt,
+            originalCallId,
+            leadName: leadName || null,
+            voicemailMessage: voicemailMessage || null,
+            variables: callVariables,
+            firstMessage: firstMessage || null,
+            prompt: prompt || null,
+            agentId: voice.agentId,
+            voiceId: voice.voiceId,
+            modelId: voice.modelId,
+            record: !!record,
             ownerProcess: process.pid,
             // Add flag to indicate this is a pre-creation record
             preCreated: true
@@ -105,12 +210,13 @@ const processJob = async (job) => {
             try {
                 // Attempt to start the conversation with our pre-generated session ID
                 await elevenlabs.startConversation(
-                    process.env.ELEVENLABS_AGENT_ID, // Use default agent ID
+                    voice.agentId, // Per-call agent, or ELEVENLABS_AGENT_ID by default
                     handleElevenLabsMessage, // Now using the imported handlers from elevenlabsHandlers.js
                     handleElevenLabsError,
                     handleElevenLabsClose,
                     handleElevenLabsReconnecting,
-                    elevenLabsSessionId // Pass our pre-generated session ID
+                    elevenLabsSessionId, // Pass our pre-generated session ID
+                    conversationOptions // Dynamic variables plus prompt / first-message overrides
                 );
                 logger.info(`${workerLogPrefix} -> ${logPrefix} ElevenLabs session initiated. Connection pending.`);
 
@@ -177,26 +283,26 @@ const processJob = async (job) => {
             throw new Error('PUBLIC_URL environment variable is not set.');
         }
         const wsBase = publicBaseUrl.replace(/^https?:\/\//, '').replace(/\/$/, '');
-        const streamUrl = `wss://${wsBase}/api/outbound/stream/${elevenLabsSessionId}`;
+        // The signed token is checked before the WebSocket upgrade is accepted
+        const streamToken = twilioSecurity.createStreamToken(elevenLabsSessionId);
+        const streamUrl = `wss://${wsBase}/api/outbound/stream/${elevenLabsSessionId}/${streamToken}`;
         const httpBase = publicBaseUrl.replace(/\/$/, '');
         const statusCallbackUrl = `${httpBase}/api/outbound/status/${elevenLabsSessionId}`;
+        const amdCallbackUrl = `${httpBase}/api/outbound/amd/${elevenLabsSessionId}`;
 
         logger.info(`${workerLogPrefix} -> ${logPrefix} Using Stream URL: ${streamUrl}`);
+
+        // Recorded calls announce it before the agent connects
+        const consentTwiml = record ? callRecorder.getConsentTwiml() : '';
+        const streamTwiml = `<Response>${consentTwiml}<Connect><Stream url="${streamUrl}" track="inbound_track" mediaFormat="audio/x-mulaw" /></Connect></Response>`;
         logger.info(`${workerLogPrefix} -> ${logPrefix} Using Status Callback URL: ${statusCallbackUrl}`);
 
         // 3. Check if this is a test phone number - use verified number or test mode
         const isTestNumber = to === '+12345678900' || to === 'test'; // Special handling for test numbers
 
-        // Use the Twilio phone number from environment variables instead of the provided "from" number
-        const twilioPhoneNumber = process.env.TWILIO_PHONE_NUMBER;
-        
-        if (!twilioPhoneNumber) {
-            throw new Error('TWILIO_PHONE_NUMBER environment variable is not set');
-        }
-        
-        // Log that we're using the Twilio phone number instead of the provided "from" number
-        if (from !== twilioPhoneNumber) {
-            logger.info(`${workerLogPrefix} -> ${logPrefix} Using Twilio phone number ${twilioPhoneNumber} instead of provided number ${from}`);
+        // Caller ID comes from the number pool (or TWILIO_PHONE_NUMBER when no pool is configured)
+        if (!from) {
+            throw new Error('No caller ID available: add numbers to the pool or set TWILIO_PHONE_NUMBER');
         }
         
         let call;
@@ -210,11 +316,12 @@ const processJob = async (job) => {
                 // Make the actual Twilio call but to the verified number
                 call = await twilioClient.calls.create({
                     to: verifiedNumber, // Use the verified number instead
-                    from: twilioPhoneNumber, // Use Twilio phone number instead of provided "from"
-                    twiml: `<Response><Connect><Stream url="${streamUrl}" track="inbound_track" mediaFormat="audio/x-mulaw" /></Connect></Response>`,
+                    from: from,
+                    twiml: streamTwiml,
                     statusCallback: statusCallbackUrl,
                     statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
                     statusCallbackMethod: 'POST',
+                    ...voicemailDrop.getAmdCallOptions(amdCallbackUrl)
                 });
             } else {
                 // Simulate a call for testing (no actual Twilio API call)
@@ -227,7 +334,7 @@ const processJob = async (job) => {
                 call = {
                     sid: fakeCallSid,
                     status: 'initiated',
-                    from: twilioPhoneNumber, // Use Twilio phone number
+                    from: from,
                     to: to
                 };
                 
@@ -236,30 +343,36 @@ const processJob = async (job) => {
                     try {
                         // Make an HTTP POST request to the status callback URL to simulate Twilio
                         const axios = require('axios');
+                        // Signed like a real Twilio callback so the status route accepts it
+                        const postStatus = params => axios.post(statusCallbackUrl, params, {
+                            headers: {
+                                'X-Twilio-Signature': twilio.getExpectedTwilioSignature(process.env.TWILIO_AUTH_TOKEN, statusCallbackUrl, params)
+                            }
+                        });
                         
                         // Simulate call queued
-                        await axios.post(statusCallbackUrl, {
+                        await postStatus({
                             CallSid: fakeCallSid,
                             CallStatus: 'queued'
                         });
                         
                         // Simulate call ringing after 1 second
                         setTimeout(async () => {
-                            await axios.post(statusCallbackUrl, {
+                            await postStatus({
                                 CallSid: fakeCallSid,
                                 CallStatus: 'ringing'
                             });
                             
                             // Simulate call answered after 2 more seconds
                             setTimeout(async () => {
-                                await axios.post(statusCallbackUrl, {
+                                await postStatus({
                                     CallSid: fakeCallSid,
                                     CallStatus: 'in-progress'
                                 });
                                 
                                 // Complete call after 30 seconds
                                 setTimeout(async () => {
-                                    await axios.post(statusCallbackUrl, {
+                                    await postStatus({
                                         CallSid: fakeCallSid,
                                         CallStatus: 'completed',
                                         CallDuration: '30'
@@ -276,15 +389,21 @@ const processJob = async (job) => {
             // Make normal Twilio call for non-test numbers
             call = await twilioClient.calls.create({
                 to: to,
-                from: twilioPhoneNumber, // Use Twilio phone number instead of provided "from"
-                twiml: `<Response><Connect><Stream url="${streamUrl}" track="inbound_track" mediaFormat="audio/x-mulaw" /></Connect></Response>`,
+                from: from,
+                twiml: streamTwiml,
                 statusCallback: statusCallbackUrl,
                 statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
                 statusCallbackMethod: 'POST',
+                // Answering-machine detection runs alongside the stream; machines get a voicemail drop
+                ...voicemailDrop.getAmdCallOptions(amdCallbackUrl)
             });
         }
 
         logger.info(`${workerLogPrefix} -> ${logPrefix} Twilio call initiated. Call SID: ${call.sid}`);
+        callPlaced = true;
+        if (callerId.pooled) {
+            await callerIdPool.recordPlaced(from);
+        }
 
         // 4. Save Initial State to Redis with process ownership information
         const redisData = {
@@ -296,6 +415,21 @@ const processJob = async (job) => {
             startTime: startTime.toISOString(),
             n8nWorkflowUrl: n8nWorkflowUrl || null,
             jobId: jobId, // Store the BullMQ job ID for reference
+            campaignId: campaignId || null,
+            leadId: leadId || null,
+            timezone: timezone || null,
+            callingWindow: callingWindow || null,
+            attempt,
+            originalCallId,
+            leadName: leadName || null,
+            voicemailMessage: voicemailMessage || null,
+            variables: callVariables,
+            firstMessage: firstMessage || null,
+            prompt: prompt || null,
+            agentId: voice.agentId,
+            voiceId: voice.voiceId,
+            modelId: voice.modelId,
+            record: !!record,
             ownerProcess: process.pid // Track which process owns this session
         };
         await sessionManager.saveOutboundSession(elevenLabsSessionId, redisData);
@@ -307,15 +441,13 @@ const processJob = async (job) => {
             await redisClient.publish('elevenlabs-session-start', JSON.stringify({
                 sessionId: elevenLabsSessionId,
                 callSid: call.sid,
-                agentId: process.env.ELEVENLABS_AGENT_ID,
-                voiceId: process.env.ELEVENLABS_VOICE_ID,
+                agentId: voice.agentId,
+                voiceId: voice.voiceId,
                 useStreaming: true
             }));
             logger.info(`[${elevenLabsSessionId}] Published elevenlabs-session-start event to Redis`);
             
-            // Send welcome message
-            await sendWelcomeMessage(elevenLabsSessionId);
-            logger.info(`[${elevenLabsSessionId}] Sent welcome message request`);
+            // The personalized greeting is the agent's first_message override, so no separate TTS welcome is sent
             
             // Schedule a test tone after 3 seconds
             setTimeout(async () => {
@@ -372,7 +504,22 @@ const processJob = async (job) => {
             to_number: to,
             start_time: startTime,
             status: 'initiated',
-            call_data: { provider: 'twilio', n8nWorkflowUrl: n8nWorkflowUrl || null, bullmqJobId: jobId }
+            attempt,
+            original_call_id: originalCallId,
+            call_data: {
+                provider: 'twilio',
+                n8nWorkflowUrl: n8nWorkflowUrl || null,
+                bullmqJobId: jobId,
+                campaignId: campaignId || null,
+                leadId: leadId || null,
+                variables: callVariables,
+                callerKnown: !!context.caller_known,
+                timezone: leadTimezone,
+                agentId: voice.agentId,
+                voiceId: voice.voiceId,
+                modelId: voice.modelId,
+                recorded: !!record
+            }
         });
         logger.info(`${workerLogPrefix} -> ${logPrefix} Initial call record saved to DB.`);
 
@@ -380,7 +527,14 @@ const processJob = async (job) => {
         return { callSid: call.sid, sessionId: elevenLabsSessionId }; // Optional: return result
 
     } catch (error) {
+        if (error instanceof DelayedError) {
+            throw error; // Re-queued for the next calling window, not a failure
+        }
         logger.error(`${workerLogPrefix} Error processing job:`, error);
+        // A call that was never placed must not count against the caller ID's daily cap
+        if (callerId && callerId.pooled && !callPlaced) {
+            await callerIdPool.releaseCallerId(callerId.from);
+        }
         // Attempt cleanup if session ID was generated before the error
         if (elevenLabsSessionId) {
             const logPrefix = `[${elevenLabsSessionId}]`;
@@ -432,7 +586,17 @@ async function startWorker() {
 
     worker.on('failed', (job, err) => {
       logger.error(`[Worker][Job ${job.id}] Failed call to ${job.data.to}. Error: ${err.message}`);
-      // You might want more sophisticated error handling/reporting here
+      // Once BullMQ has given up on a campaign lead, count it as failed so the
+      // campaign dispatcher can move on
+      if (job.attemptsMade >= (job.opts.attempts || 1)) {
+        if (job.data.leadId) {
+          campaignManager.recordLeadCallStatus(job.data.leadId, 'failed').catch(leadError => {
+            logger.error(`[Worker][Job ${job.id}] Error marking lead ${job.data.leadId} as failed:`, leadError);
+          });
+        }
+        webhookDispatcher.emitEvent(job.data.n8nWorkflowUrl, 'call.failed',
+          webhookDispatcher.buildCallPayload(job.data, { status: 'failed', reason: err.message }));
+      }
     });
 
     worker.on('error', err => {
@@ -442,10 +606,27 @@ async function startWorker() {
 
     logger.info('Worker started and listening for jobs on queue: ', QUEUE_NAME);
 
+    // Lifecycle webhook deliveries (retried with backoff by BullMQ)
+    const webhookWorker = new Worker(webhookDispatcher.WEBHOOK_QUEUE_NAME, webhookDispatcher.deliverWebhook, {
+        connection: redisConnectionOptions,
+        concurrency: 5
+    });
+    webhookWorker.on('failed', (job, err) => {
+      if (job && (err.name === 'UnrecoverableError' || job.attemptsMade >= (job.opts.attempts || 1))) {
+        logger.error(`[Webhook ${job.id}] Giving up on ${job.data.event} to ${job.data.url}: ${err.message}`);
+      } else if (job) {
+        logger.warn(`[Webhook ${job.id}] ${err.message}. Will retry (attempt ${job.attemptsMade}).`);
+      }
+    });
+    webhookWorker.on('error', err => {
+      logger.error('[Webhook Worker] Error:', err);
+    });
+
     // Graceful shutdown
     process.on('SIGTERM', async () => {
       logger.info('SIGTERM signal received. Closing worker...');
       await worker.close();
+      await webhookWorker.close();
       logger.info('Worker closed.');
       process.exit(0);
     });
@@ -453,6 +634,7 @@ async function startWorker() {
     process.on('SIGINT', async () => {
       logger.info('SIGINT signal received. Closing worker...');
       await worker.close();
+      await webhookWorker.close();
       logger.info('Worker closed.');
       process.exit(0);
     });
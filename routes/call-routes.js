@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { dbService } = require('../utils/dbClient');
+const recordingStorage = require('../utils/recordingStorage');
+const callOutcome = require('../utils/callOutcome');
+
+function formatCall(call) {
+  const callData = call.call_data || {};
+  return {
+    id: call.id,
+    callSid: call.call_id,
+    sessionId: call.session_id,
+    direction: call.direction,
+    from: call.from_number,
+    to: call.to_number,
+    status: call.status,
+    startTime: call.start_time,
+    endTime: call.end_time,
+    duration: call.duration,
+    attempt: call.attempt,
+    disposition: callData.disposition || null,
+    outcome: callData.outcome || null,
+    hasRecording: !!call.recording_location
+  };
+}
+
+// Call details with its disposition and classified outcome
+router.get('/:id', async (req, res) => {
+  try {
+    const call = await dbService.getCall(req.params.id);
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+    res.status(200).json(formatCall(call));
+  } catch (error) {
+    logger.error(`Error fetching call ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Post-call outcome: disposition, confidence and extracted fields
+router.get('/:id/outcome', async (req, res) => {
+  try {
+    const call = await dbService.getCall(req.params.id);
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+    const outcome = call.call_data && call.call_data.outcome;
+    if (!outcome) {
+      return res.status(404).json({ error: 'Call has not been analyzed' });
+    }
+    res.status(200).json(outcome);
+  } catch (error) {
+    logger.error(`Error fetching outcome for call ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Re-run the outcome analysis for a finished call
+router.post('/:id/outcome', async (req, res) => {
+  try {
+    const call = await dbService.getCall(req.params.id);
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+    if (!call.end_time) {
+      return res.status(409).json({ error: 'Call has not ended yet' });
+    }
+    const outcome = await callOutcome.analyzeCall(call.id);
+    if (!outcome) {
+      return res.status(422).json({ error: 'Call could not be analyzed (no transcript or classifier error)' });
+    }
+    res.status(200).json(outcome);
+  } catch (error) {
+    logger.error(`Error analyzing call ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Stereo WAV recording of a call (left: caller, right: agent)
+router.get('/:id/recording', async (req, res) => {
+  try {
+    const call = await dbService.getCall(req.params.id);
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+    if (!call.recording_location) {
+      return res.status(404).json({ error: 'No recording for this call' });
+    }
+
+    const audio = await recordingStorage.readRecording(call.recording_storage, call.recording_location);
+    if (!audio) {
+      return res.status(404).json({ error: 'Recording file not found' });
+    }
+    res.set('Content-Type', 'audio/wav');
+    res.set('Content-Disposition', `inline; filename="${call.call_id}.wav"`);
+    res.send(audio);
+  } catch (error) {
+    logger.error(`Error fetching recording for call ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { dbService } = require('../utils/dbClient');
+const campaignManager = require('../utils/campaignManager');
+
+// Validate the pacing settings shared by create and update
+function validatePacing({ callsPerMinute, maxConcurrency }) {
+  if (callsPerMinute !== undefined && (!Number.isInteger(callsPerMinute) || callsPerMinute < 1)) {
+    return 'callsPerMinute must be a positive integer';
+  }
+  if (maxConcurrency !== undefined && (!Number.isInteger(maxConcurrency) || maxConcurrency < 1)) {
+    return 'maxConcurrency must be a positive integer';
+  }
+  return null;
+}
+
+// Create a campaign, optionally with its lead list
+router.post('/', async (req, res) => {
+  try {
+    const { name, callsPerMinute, maxConcurrency, from, n8nWorkflowUrl, leads } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Campaign name is required' });
+    }
+    const pacingError = validatePacing({ callsPerMinute, maxConcurrency });
+    if (pacingError) {
+      return res.status(400).json({ error: pacingError });
+    }
+    if (leads !== undefined && !Array.isArray(leads)) {
+      return res.status(400).json({ error: 'leads must be an array' });
+    }
+
+    const result = await campaignManager.createCampaign({
+      name, callsPerMinute, maxConcurrency, from, n8nWorkflowUrl, leads
+    });
+    if (!result) {
+      return res.status(500).json({ error: 'Failed to create campaign' });
+    }
+
+    res.status(201).json({
+      campaign: result.campaign,
+      invalidLeads: result.invalid
+    });
+  } catch (error) {
+    logger.error('Error creating campaign:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// List campaigns, optionally filtered by status
+router.get('/', async (req, res) => {
+  try {
+    const where = req.query.status ? { status: req.query.status } : {};
+    const campaigns = await dbService.listCampaigns(where);
+    res.status(200).json({ campaigns });
+  } catch (error) {
+    logger.error('Error listing campaigns:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Get a campaign with its progress counters
+router.get('/:id', async (req, res) => {
+  try {
+    const campaign = await dbService.getCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    const progress = await campaignManager.getCampaignProgress(campaign.id);
+    res.status(200).json({ campaign, progress });
+  } catch (error) {
+    logger.error(`[Campaign ${req.params.id}] Error getting campaign:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Get only the progress counters (dialed, answered, completed, failed...)
+router.get('/:id/progress', async (req, res) => {
+  try {
+    const campaign = await dbService.getCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    const progress = await campaignManager.getCampaignProgress(campaign.id);
+    res.status(200).json({ id: campaign.id, status: campaign.status, progress });
+  } catch (error) {
+    logger.error(`[Campaign ${req.params.id}] Error getting campaign progress:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Update pacing settings; takes effect on the next dispatcher tick
+router.patch('/:id', async (req, res) => {
+  try {
+    const { name, callsPerMinute, maxConcurrency, from, n8nWorkflowUrl } = req.body;
+    const pacingError = validatePacing({ callsPerMinute, maxConcurrency });
+    if (pacingError) {
+      return res.status(400).json({ error: pacingError });
+    }
+
+    const campaign = await dbService.getCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (callsPerMinute !== undefined) updateData.calls_per_minute = callsPerMinute;
+    if (maxConcurrency !== undefined) updateData.max_concurrency = maxConcurrency;
+    if (from !== undefined) updateData.from_number = from;
+    if (n8nWorkflowUrl !== undefined) updateData.n8n_workflow_url = n8nWorkflowUrl;
+
+    await dbService.updateCampaign(campaign.id, updateData);
+    res.status(200).json({ campaign: await dbService.getCampaign(campaign.id) });
+  } catch (error) {
+    logger.error(`[Campaign ${req.params.id}] Error updating campaign:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Attach leads to a campaign
+router.post('/:id/leads', async (req, res) => {
+  try {
+    const { leads } = req.body;
+    if (!Array.isArray(leads) || leads.length === 0) {
+      return res.status(400).json({ error: 'Leads array is required' });
+    }
+
+    const campaign = await dbService.getCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (['stopped', 'completed'].includes(campaign.status)) {
+      return res.status(409).json({ error: `Cannot add leads to a ${campaign.status} campaign` });
+    }
+
+    const result = await campaignManager.addLeads(campaign.id, leads);
+    if (!result) {
+      return res.status(500).json({ error: 'Failed to add leads' });
+    }
+    res.status(201).json({ added: result.added, invalidLeads: result.invalid });
+  } catch (error) {
+    logger.error(`[Campaign ${req.params.id}] Error adding leads:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Import leads from a CSV upload (text/csv body, or JSON { csv }) with a per-row report
+router.post('/:id/leads/import', express.text({ type: ['text/csv', 'application/csv', 'text/plain'], limit: campaignManager.CSV_IMPORT_MAX_SIZE }), async (req, res) => {
+  try {
+    const csvText = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+    if (!csvText || typeof csvText !== 'string') {
+      return res.status(400).json({ error: 'CSV body is required (Content-Type: text/csv, or JSON { csv })' });
+    }
+
+    const campaign = await dbService.getCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (['stopped', 'completed'].includes(campaign.status)) {
+      return res.status(409).json({ error: `Cannot add leads to a ${campaign.status} campaign` });
+    }
+
+    const report = await campaignManager.importLeadsFromCsv(campaign.id, csvText, {
+      phoneColumn: req.query.phoneColumn
+    });
+    if (!report) {
+      return res.status(500).json({ error: 'Failed to import leads' });
+    }
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+
+    // Optionally start dialing the imported batch right away
+    if (req.query.start === 'true' && campaign.status === 'draft' && report.summary.imported > 0) {
+      const started = await campaignManager.transitionCampaign(campaign.id, 'start');
+      report.campaignStatus = started.campaign ? started.campaign.status : campaign.status;
+    }
+
+    res.status(207).json(report);
+  } catch (error) {
+    logger.error(`[Campaign ${req.params.id}] Error importing leads from CSV:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Lifecycle actions: start, pause, resume, stop
+router.post('/:id/:action(start|pause|resume|stop)', async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    const result = await campaignManager.transitionCampaign(id, action);
+    if (result.notFound) {
+      return res.status(404).json({ error: result.error });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    res.status(200).json({ campaign: result.campaign });
+  } catch (error) {
+    logger.error(`[Campaign ${req.params.id}] Error applying ${req.params.action}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
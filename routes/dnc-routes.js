@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { dbService } = require('../utils/dbClient');
+const dncRegistry = require('../utils/dncRegistry');
+const { normalizePhoneNumber } = require('../utils/phoneNumbers');
+
+// List DNC entries (paginated)
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const result = await dbService.listDncEntries(limit, offset);
+    if (!result) {
+      return res.status(500).json({ error: 'Failed to list DNC entries' });
+    }
+    res.status(200).json({ total: result.count, limit, offset, entries: result.rows });
+  } catch (error) {
+    logger.error('Error listing DNC entries:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Check whether a number is suppressed
+router.get('/check/:phoneNumber', async (req, res) => {
+  try {
+    const normalized = normalizePhoneNumber(req.params.phoneNumber);
+    if (!normalized) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+    const entry = await dbService.getDncEntry(normalized);
+    res.status(200).json({
+      phoneNumber: normalized,
+      suppressed: Boolean(entry),
+      entry
+    });
+  } catch (error) {
+    logger.error('Error checking DNC number:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Add a number to the DNC list
+router.post('/', async (req, res) => {
+  try {
+    const { phoneNumber, reason } = req.body;
+    if (!phoneNumber) {
+      return res.status(400).json({ error: 'phoneNumber is required' });
+    }
+    const normalized = normalizePhoneNumber(phoneNumber);
+    if (!normalized) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+
+    const added = await dncRegistry.addNumber(normalized, { reason, source: 'api' });
+    if (!added) {
+      return res.status(500).json({ error: 'Failed to add number to DNC list' });
+    }
+    res.status(201).json({ phoneNumber: added, message: 'Number added to DNC list' });
+  } catch (error) {
+    logger.error('Error adding DNC number:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Bulk import numbers
+router.post('/import', async (req, res) => {
+  try {
+    const { numbers } = req.body;
+    if (!Array.isArray(numbers) || numbers.length === 0) {
+      return res.status(400).json({ error: 'Numbers array is required' });
+    }
+
+    const report = await dncRegistry.importNumbers(numbers);
+    if (!report) {
+      return res.status(500).json({ error: 'Failed to import DNC numbers' });
+    }
+    res.status(207).json(report);
+  } catch (error) {
+    logger.error('Error importing DNC numbers:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Remove a number from the DNC list
+router.delete('/:phoneNumber', async (req, res) => {
+  try {
+    const normalized = normalizePhoneNumber(req.params.phoneNumber);
+    if (!normalized) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+    const removed = await dncRegistry.removeNumber(normalized);
+    if (!removed) {
+      return res.status(404).json({ error: 'Number not found on DNC list' });
+    }
+    res.status(200).json({ phoneNumber: normalized, message: 'Number removed from DNC list' });
+  } catch (error) {
+    logger.error('Error removing DNC number:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
@@ -3,110 +3,19 @@ const router = express.Router();
 const logger = require('../utils/logger');
 const elevenlabs = require('../utils/elevenlabsClient');
 const knowledgeBase = require('../utils/knowledgeBase');
-const crypto = require('crypto');
+const twilio = require('twilio');
+const { v4: uuidv4 } = require('uuid');
 const { sessionManager } = require('../utils/redisClient');
-const { dbService } = require('../utils/dbClient');
-
-// Secret for internal n8n communication
-const N8N_INTERNAL_SECRET = process.env.N8N_INTERNAL_SECRET;
-
-// Verify OpenPhone webhook signature OR internal N8N secret
-const verifyWebhookSignature = (req, res, next) => {
-  try {
-    // Check for internal N8N secret first
-    const n8nSecretHeader = req.headers['x-n8n-auth'];
-    if (n8nSecretHeader && N8N_INTERNAL_SECRET && n8nSecretHeader === N8N_INTERNAL_SECRET) {
-      logger.debug('Request authenticated via internal N8N secret.');
-      return next(); // Bypass OpenPhone signature check
-    }
-
-    // If no N8N secret, proceed with OpenPhone signature check
-    const signature = req.headers['x-openphone-signature'];
-    const webhookSecret = process.env.OPENPHONE_WEBHOOK_SECRET;
-    
-    if (!signature || !webhookSecret) {
-      logger.warn('Missing OpenPhone signature or webhook secret, and no valid N8N secret provided.'); // Changed to warn
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-    
-    // Use rawBody if available (requires body-parser raw type)
-    // If not, stringify might mangle the body needed for signature verification.
-    // For now, assuming JSON parsing is okay, but this might need adjustment.
-    let payload;
-    if (req.rawBody) {
-      payload = req.rawBody;
-      logger.debug('Using rawBody for signature verification.');
-    } else {
-      payload = JSON.stringify(req.body);
-      logger.warn('Using JSON.stringify(req.body) for signature verification. This might be unreliable. Consider using a raw body parser.');
-    }
-    
-    const hmac = crypto.createHmac('sha256', webhookSecret);
-    const digest = 'sha256=' + hmac.update(payload).digest('hex'); // Add sha256= prefix if OpenPhone requires it
-    
-    // Note: OpenPhone signature format might be 't=timestamp,v1=signature'
-    // This verification logic assumes a simple hex digest. Adjust if needed based on actual OpenPhone header format.
-    // Example parsing for 't=...,v1=...' format:
-    // const elements = signature.split(',');
-    // const signatureHash = elements.find(el => el.startsWith('v1=')).split('=')[1];
-    // if (signatureHash !== digest) { ... }
-    
-    if (signature !== digest) { // Compare digests
-      logger.error('Invalid OpenPhone webhook signature. Received: ', signature, ' Expected: ', digest);
-      return res.status(401).json({ error: 'Invalid Signature' }); // More specific error
-    }
-    
-    logger.debug('OpenPhone webhook signature verified successfully.');
-    next();
-  } catch (error) {
-    logger.error('Error validating webhook signature:', error);
-    res.status(500).json({ error: 'Internal Server Error' });
-  }
-};
-
-// --- Placeholder Callbacks for Inbound ElevenLabs Sessions ---
-// TODO: Implement detailed logic for handling messages, errors, etc. for inbound calls
-async function handleElevenLabsMessageInbound(sessionId, message) {
-    logger.debug(`[${sessionId}] Inbound ElevenLabs Message: ${message.type}`);
-    const callId = await sessionManager.getCallIdForSession(sessionId); // Need reverse lookup
-    if (!callId) {
-        logger.error(`[${sessionId}] Cannot find callId for inbound message.`);
-        return;
-    }
-    // Example: Store message
-    // await sessionManager.addInboundMessage(callId, { role: '...', text: '...', timestamp: new Date().toISOString() });
-    // Example: Trigger actions based on agent response or user transcript
-}
-
-async function handleElevenLabsErrorInbound(sessionId, error) {
-    logger.error(`[${sessionId}] Inbound ElevenLabs Error:`, error.message);
-    const callId = await sessionManager.getCallIdForSession(sessionId);
-    if (callId) {
-        // Update call status? Log error against call?
-        // await sessionManager.updateInboundCallStatus(callId, 'error');
-    }
-}
-
-async function handleElevenLabsCloseInbound(sessionId, code, reason) {
-    logger.warn(`[${sessionId}] Inbound ElevenLabs Connection Closed: ${code} ${reason}`);
-    const callId = await sessionManager.getCallIdForSession(sessionId);
-    if (callId) {
-        // Finalize call state?
-        // await sessionManager.updateInboundCallStatus(callId, 'closed');
-    }
-}
-
-async function handleElevenLabsReconnectingInbound(sessionId, attempt, delay) {
-    logger.warn(`[${sessionId}] Inbound ElevenLabs Reconnecting (Attempt ${attempt}, Delay ${delay}ms)`);
-    const callId = await sessionManager.getCallIdForSession(sessionId);
-    if (callId) {
-        // Update call status?
-        // await sessionManager.updateInboundCallStatus(callId, 'reconnecting');
-    }
-}
+const inboundCalls = require('../utils/inboundCalls');
+const inboundCapacity = require('../utils/inboundCapacity');
+const voicemailCapture = require('../utils/voicemailCapture');
+const twilioSecurity = require('../utils/twilioSecurity');
+const { verifyWebhookSignature } = require('../utils/openphoneSecurity');
+const { idempotent, openPhoneCallStateKey, openPhoneEventKey, twilioCallStatusKey } = require('../utils/webhookIdempotency');
+const VoiceResponse = twilio.twiml.VoiceResponse;
 
 // Handle incoming calls from OpenPhone
-router.post('/call', verifyWebhookSignature, async (req, res) => {
+router.post('/call', verifyWebhookSignature, idempotent(openPhoneCallStateKey), async (req, res) => {
   try {
     const { callId, from, to, state } = req.body; // callId from OpenPhone
     const logPrefix = `[${callId}]`;
@@ -118,48 +27,21 @@ router.post('/call', verifyWebhookSignature, async (req, res) => {
       logger.info(`${logPrefix} Ignoring call event with state: ${state}`);
       return res.status(200).json({ message: 'Webhook received, state ignored' });
     }
+
+    // OpenPhone calls cannot be put on hold, so over the limit the agent does not answer
+    if (!(await inboundCapacity.acquireSlot(callId))) {
+      logger.warn(`${logPrefix} All agent sessions are in use. Not answering with the agent.`);
+      return res.status(200).json({ sessionId: null, message: 'All agents are busy' });
+    }
     
-    // Start an ElevenLabs conversation session
-    // Removed await, pass callbacks, get sessionId immediately
-    const elevenLabsSessionId = elevenlabs.startConversation(
-        process.env.ELEVENLABS_AGENT_ID, // Default agent
-        handleElevenLabsMessageInbound,
-        handleElevenLabsErrorInbound,
-        handleElevenLabsCloseInbound,
-        handleElevenLabsReconnectingInbound
-    );
-    logger.info(`${logPrefix} Initiated ElevenLabs session: ${elevenLabsSessionId}. Connection pending.`);
-
-    // Session data
-    const startTime = new Date();
-    const sessionData = {
-      sessionId: elevenLabsSessionId, // Use the actual session ID from ElevenLabs
-      from,
-      to,
-      startTime: startTime.toISOString(),
-      status: 'active' // Initial status for the *call* session
-    };
-    
-    // Store in Redis, mapping OpenPhone callId to ElevenLabs sessionId
-    await sessionManager.saveInboundSession(callId, sessionData);
-    // TODO: Ensure sessionManager supports saving/retrieving this mapping correctly
-    // You might also need a reverse mapping: elevenLabsSessionId -> callId for callbacks
-    await sessionManager.saveSessionToCallIdMapping(elevenLabsSessionId, callId); 
-    
-    // Create record in database for permanent storage
-    // Use upsert to handle potential duplicate webhook calls
-    await dbService.upsertCallByExternalId(callId, {
-      call_id: callId, // OpenPhone Call ID
-      session_id: elevenLabsSessionId, // ElevenLabs Session ID
-      direction: 'inbound',
-      from_number: from,
-      to_number: to,
-      start_time: startTime,
-      status: 'active',
-      call_data: { provider: 'openphone' }
-    });
-    
-    logger.info(`${logPrefix} Associated with ElevenLabs session ${elevenLabsSessionId}`);
+    // Start an ElevenLabs conversation session and record the call
+    let elevenLabsSessionId;
+    try {
+      elevenLabsSessionId = await inboundCalls.startInboundCall({ callId, from, to, provider: 'openphone' });
+    } catch (error) {
+      await inboundCapacity.releaseSlot(callId);
+      throw error;
+    }
     
     // Return success to acknowledge the webhook, include the actual session ID
     res.status(200).json({ 
@@ -181,7 +63,7 @@ router.post('/call', verifyWebhookSignature, async (req, res) => {
 
 // Receive voice input from the call (This seems more like text input from OpenPhone?)
 // If using actual voice streaming, this endpoint would change significantly.
-router.post('/voice', verifyWebhookSignature, async (req, res) => {
+router.post('/voice', verifyWebhookSignature, idempotent(openPhoneEventKey), async (req, res) => {
   try {
     const { callId, text } = req.body; // Assuming text input for now
     const logPrefix = `[${callId}]`;
@@ -213,6 +95,11 @@ router.post('/voice', verifyWebhookSignature, async (req, res) => {
     
     // Store in Redis mapped to OpenPhone callId
     await sessionManager.addInboundMessage(callId, userMessage);
+
+    // The caller is leaving a message; it is stored when the call ends
+    if (callSession.status === 'voicemail') {
+      return res.status(200).json({ text: null, audioBase64: null, voicemail: true });
+    }
     
     // Query the knowledge base
     // const knowledgeResults = await knowledgeBase.queryKnowledgeBase(text);
@@ -236,9 +123,11 @@ router.post('/voice', verifyWebhookSignature, async (req, res) => {
         });
 
     } else {
-        logger.error(`${logPrefix} Cannot send input to ElevenLabs session ${elevenLabsSessionId}, status is ${elevenLabsStatus}.`);
-         res.status(503).json({ error: 'Agent session not active. Please try again later.' });
-         return;
+        // The agent is unavailable: take a message instead of dropping the caller
+        logger.warn(`${logPrefix} Cannot send input to ElevenLabs session ${elevenLabsSessionId}, status is ${elevenLabsStatus}. Taking a voicemail.`);
+        await sessionManager.updateInboundCallStatus(callId, 'voicemail', { voicemailStartedAt: userMessage.timestamp });
+        res.status(200).json({ text: voicemailCapture.GREETING, audioBase64: null, voicemail: true });
+        return;
     }
     
     // --- Agent response handling (moved to handleElevenLabsMessageInbound callback) ---
@@ -256,7 +145,7 @@ router.post('/voice', verifyWebhookSignature, async (req, res) => {
 });
 
 // End the conversation when call ends
-router.post('/hangup', verifyWebhookSignature, async (req, res) => {
+router.post('/hangup', verifyWebhookSignature, idempotent(openPhoneCallStateKey), async (req, res) => {
   try {
     const { callId, state } = req.body;
     const logPrefix = `[${callId}]`;
@@ -266,65 +155,147 @@ router.post('/hangup', verifyWebhookSignature, async (req, res) => {
       return res.status(200).json({ message: 'Webhook received, state ignored' });
     }
     
-    // Get the call session info to find the ElevenLabs session ID
-    let callSession = await sessionManager.getInboundSession(callId);
-    
-    if (!callSession) {
+    const { found, saved } = await inboundCalls.completeInboundCall(callId);
+    if (!found) {
       // Session might already be cleaned up, or never existed. Log and return OK.
       logger.warn(`${logPrefix} Call session not found in Redis during hangup (might be already processed or failed).`);
       return res.status(200).json({ message: 'Session not found, hangup acknowledged' });
     }
-    
-    const elevenLabsSessionId = callSession.sessionId;
-    logger.info(`${logPrefix} Call ended. Attempting to close ElevenLabs session ${elevenLabsSessionId}`);
-    
-    // End the ElevenLabs conversation session if the ID exists
-    if (elevenLabsSessionId) {
-        try {
-            // Check status before ending? Optional.
-            // const status = elevenlabs.getSessionStatus(elevenLabsSessionId);
-            // logger.info(`${logPrefix} Ending ElevenLabs session ${elevenLabsSessionId} (Current Status: ${status})`);
-            elevenlabs.endConversation(elevenLabsSessionId);
-        } catch (elevenError) {
-            // Log error but continue cleanup
-            logger.error(`${logPrefix} Error explicitly ending ElevenLabs session ${elevenLabsSessionId}:`, elevenError);
-        }
-        // Clean up reverse mapping
-        await sessionManager.deleteSessionToCallIdMapping(elevenLabsSessionId);
-    } else {
-        logger.warn(`${logPrefix} No ElevenLabs session ID found associated with call during hangup.`);
+    if (!saved) {
+      // The Redis copy of the transcript is kept; OpenPhone retries the webhook
+      return res.status(500).json({ error: 'Internal Server Error' });
+    }
+
+    res.status(200).json({ message: 'Hangup processed successfully' });
+
+  } catch (error) {
+    logger.error(`[${req.body?.callId || 'unknown_call'}] Error processing hangup:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * Start the agent for a Twilio call and connect the caller to it over the media stream
+ * @param {VoiceResponse} twiml - Response to add the <Connect><Stream> to
+ * @param {Object} call - { CallSid, From, To } from the Twilio webhook
+ */
+async function connectToAgent(twiml, { CallSid, From, To }) {
+  const publicBaseUrl = process.env.PUBLIC_URL;
+  if (!publicBaseUrl) {
+    throw new Error('PUBLIC_URL environment variable is not set.');
+  }
+
+  const sessionId = `session_${Date.now()}_${uuidv4().substring(0, 6)}`;
+  await inboundCalls.startInboundCall({ callId: CallSid, from: From, to: To, provider: 'twilio', sessionId });
+
+  // The signed token is checked before the WebSocket upgrade is accepted
+  const wsBase = publicBaseUrl.replace(/^https?:\/\//, '').replace(/\/$/, '');
+  const streamToken = twilioSecurity.createStreamToken(sessionId);
+  const streamUrl = `wss://${wsBase}/api/inbound/stream/${sessionId}/${streamToken}`;
+  twiml.connect().stream({ url: streamUrl, track: 'inbound_track' });
+
+  logger.info(`[${CallSid}] Connecting caller to ElevenLabs session ${sessionId}`);
+}
+
+// Incoming calls to a Twilio support number (the number's Voice webhook).
+// The caller is connected to the agent over the same bidirectional media-stream
+// bridge as outbound calls; the call is completed when the stream closes.
+// Callers over the concurrent-session limit are put on hold.
+router.post('/twilio/voice', twilioSecurity.validateTwilioSignature, idempotent(twilioCallStatusKey), async (req, res) => {
+  const { CallSid, From, To } = req.body;
+  const logPrefix = `[${CallSid}]`;
+  const twiml = new VoiceResponse();
+
+  try {
+    logger.info(`${logPrefix} Incoming Twilio call from ${From} to ${To}`);
+
+    if (!(await inboundCapacity.acquireSlot(CallSid))) {
+      logger.info(`${logPrefix} All agent sessions are in use. Putting caller on hold.`);
+      return res.type('text/xml').send(await inboundCapacity.buildHoldTwiml(CallSid, { from: From, to: To }));
     }
+    await connectToAgent(twiml, req.body);
+  } catch (error) {
+    logger.error(`${logPrefix} Error answering incoming Twilio call. Taking a voicemail:`, error);
+    await inboundCapacity.releaseSlot(CallSid);
+    return res.type('text/xml').send(voicemailCapture.buildRecordTwiml({ from: From, to: To }));
+  }
+
+  res.type('text/xml').send(twiml.toString());
+});
 
-    // Update call record in database
-    const call = await dbService.getCallByExternalId(callId);
-    const endTime = new Date();
-    let duration = null;
-
-    if (call) {
-      if (call.start_time) {
-          duration = Math.floor((endTime - new Date(call.start_time)) / 1000);
-      }
-      
-      await dbService.updateCall(call.id, {
-        end_time: endTime,
-        duration: duration,
-        status: 'completed' // Assuming 'ended' means completed successfully
-      });
-      logger.info(`${logPrefix} Updated call record ${call.id} in DB to completed.`);
+// Hold loop for Twilio callers waiting for a free agent (redirected here after each round of hold audio)
+router.post('/twilio/hold', twilioSecurity.validateTwilioSignature, async (req, res) => {
+  const { CallSid, From, To } = req.body;
+  const logPrefix = `[${CallSid}]`;
+  const twiml = new VoiceResponse();
+
+  try {
+    if (await inboundCapacity.acquireSlot(CallSid)) {
+      await inboundCapacity.leaveHoldQueue(CallSid);
+      logger.info(`${logPrefix} Agent available. Connecting caller from hold.`);
+      await connectToAgent(twiml, req.body);
     } else {
-         logger.warn(`${logPrefix} DB record not found for call during hangup processing.`);
+      return res.type('text/xml').send(await inboundCapacity.buildHoldTwiml(CallSid, { from: From, to: To }));
     }
+  } catch (error) {
+    logger.error(`${logPrefix} Error handling caller on hold. Taking a voicemail:`, error);
+    await inboundCapacity.releaseSlot(CallSid);
+    await inboundCapacity.leaveHoldQueue(CallSid);
+    return res.type('text/xml').send(voicemailCapture.buildRecordTwiml({ from: From, to: To }));
+  }
 
-    // Remove session from Redis
-    await sessionManager.deleteInboundSession(callId);
-    logger.info(`${logPrefix} Removed inbound session data from Redis.`);
+  res.type('text/xml').send(twiml.toString());
+});
 
-    res.status(200).json({ message: 'Hangup processed successfully' });
+// Answer to the callback offer made on hold: 1 queues a callback, anything else keeps holding
+router.post('/twilio/callback', twilioSecurity.validateTwilioSignature, async (req, res) => {
+  const { CallSid, From, To, Digits } = req.body;
+  const logPrefix = `[${CallSid}]`;
+  const twiml = new VoiceResponse();
 
+  try {
+    if (Digits === '1') {
+      await inboundCapacity.requestCallback(CallSid, { from: From, to: To });
+      twiml.say('Thank you. We will call you back shortly. Goodbye.');
+      twiml.hangup();
+    } else {
+      logger.info(`${logPrefix} Caller chose to keep holding.`);
+      twiml.redirect(`${(process.env.PUBLIC_URL || '').replace(/\/$/, '')}/api/inbound/twilio/hold`);
+    }
   } catch (error) {
-    logger.error(`[${req.body?.callId || 'unknown_call'}] Error processing hangup:`, error);
-    res.status(500).json({ error: 'Internal Server Error' });
+    logger.error(`${logPrefix} Error handling callback request:`, error);
+    twiml.say('Sorry, we could not schedule a call back. Please try again later.');
+    twiml.hangup();
   }
+
+  res.type('text/xml').send(twiml.toString());
+});
+
+// Twilio recording status callback for a voicemail: store, transcribe and announce it
+router.post('/twilio/voicemail', twilioSecurity.validateTwilioSignature, idempotent(twilioCallStatusKey), async (req, res) => {
+  const { CallSid, RecordingUrl, RecordingStatus, RecordingDuration } = req.body;
+  const logPrefix = `[${CallSid}]`;
+
+  if (RecordingStatus !== 'completed' || !RecordingUrl) {
+    logger.warn(`${logPrefix} Voicemail recording ${RecordingStatus || 'without status'}. Nothing to store.`);
+    return res.sendStatus(200);
+  }
+  res.sendStatus(200); // Acknowledge before downloading and transcribing
+
+  voicemailCapture.processTwilioRecording({
+    callSid: CallSid,
+    recordingUrl: RecordingUrl,
+    durationSeconds: RecordingDuration ? parseInt(RecordingDuration, 10) : null,
+    from: req.query.from || null,
+    to: req.query.to || null
+  }).catch(error => {
+    logger.error(`${logPrefix} Error processing voicemail recording:`, error);
+  });
+});
+
+// <Record> action: the caller has finished leaving a message
+router.post('/twilio/voicemail/done', twilioSecurity.validateTwilioSignature, (req, res) => {
+  res.type('text/xml').send(voicemailCapture.buildDoneTwiml());
 });
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { dbService } = require('../utils/dbClient');
+const apiKeys = require('../utils/apiKeys');
+
+function formatKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.key_prefix,
+    scopes: apiKey.scopes,
+    createdAt: apiKey.created_at,
+    expiresAt: apiKey.expires_at,
+    lastUsedAt: apiKey.last_used_at,
+    revokedAt: apiKey.revoked_at
+  };
+}
+
+// Create a key; the plain key is only returned in this response
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    const scopesError = apiKeys.validateScopes(scopes);
+    if (scopesError) {
+      return res.status(400).json({ error: scopesError });
+    }
+    if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+      return res.status(400).json({ error: 'expiresAt must be a date' });
+    }
+
+    const created = await apiKeys.createKey({ name, scopes, expiresAt: expiresAt ? new Date(expiresAt) : null });
+    if (!created) {
+      return res.status(500).json({ error: 'Failed to create API key' });
+    }
+    logger.info(`[API Key] ${req.apiKey ? req.apiKey.name : 'unknown'} created key "${name}" (${created.apiKey.id}) with scopes ${scopes.join(', ')}`);
+    res.status(201).json({ ...formatKey(created.apiKey), key: created.key });
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// List keys (never includes the keys themselves)
+router.get('/', async (req, res) => {
+  try {
+    const keys = await dbService.listApiKeys();
+    res.status(200).json({ scopes: apiKeys.SCOPES, keys: keys.map(formatKey) });
+  } catch (error) {
+    logger.error('Error listing API keys:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Audit log of requests made with a key
+router.get('/:id/usage', async (req, res) => {
+  try {
+    const apiKey = await dbService.getApiKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const usage = await dbService.listApiKeyUsage(apiKey.id, limit, offset);
+    res.status(200).json({
+      key: formatKey(apiKey),
+      usage: usage.map(entry => ({
+        method: entry.method,
+        path: entry.path,
+        scope: entry.scope,
+        statusCode: entry.status_code,
+        ipAddress: entry.ip_address,
+        at: entry.created_at
+      })),
+      limit,
+      offset
+    });
+  } catch (error) {
+    logger.error(`Error fetching usage for API key ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Revoke a key; it stops working immediately
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await dbService.getApiKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    if (!apiKey.revoked_at) {
+      await dbService.updateApiKey(apiKey.id, { revoked_at: new Date() });
+      logger.info(`[API Key] ${req.apiKey ? req.apiKey.name : 'unknown'} revoked key "${apiKey.name}" (${apiKey.id})`);
+    }
+    res.status(200).json({ message: 'API key revoked', id: apiKey.id });
+  } catch (error) {
+    logger.error(`Error revoking API key ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
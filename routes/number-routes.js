@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { dbService } = require('../utils/dbClient');
+const callerIdPool = require('../utils/callerIdPool');
+const { normalizePhoneNumber, getAreaCode } = require('../utils/phoneNumbers');
+
+const NUMBER_STATUSES = ['active', 'retired'];
+
+function parseDailyCap(value) {
+  if (value === undefined || value === null) {
+    return { value: null };
+  }
+  const cap = parseInt(value, 10);
+  if (isNaN(cap) || cap < 1) {
+    return { error: 'dailyCap must be a positive integer' };
+  }
+  return { value: cap };
+}
+
+// List pool numbers with today's usage and answer rates
+router.get('/', async (req, res) => {
+  try {
+    const where = req.query.status ? { status: req.query.status } : {};
+    const numbers = await callerIdPool.listNumbers(where);
+    res.status(200).json({ strategy: callerIdPool.DEFAULT_STRATEGY, numbers });
+  } catch (error) {
+    logger.error('Error listing caller-ID numbers:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Add a Twilio number to the pool
+router.post('/', async (req, res) => {
+  try {
+    const { phoneNumber, friendlyName, dailyCap } = req.body;
+    if (!phoneNumber) {
+      return res.status(400).json({ error: 'phoneNumber is required' });
+    }
+    const normalized = normalizePhoneNumber(phoneNumber);
+    if (!normalized) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+    const cap = parseDailyCap(dailyCap);
+    if (cap.error) {
+      return res.status(400).json({ error: cap.error });
+    }
+    if (await dbService.getPhoneNumberByNumber(normalized)) {
+      return res.status(409).json({ error: 'Number is already in the pool' });
+    }
+
+    const number = await dbService.createPhoneNumber({
+      phone_number: normalized,
+      friendly_name: friendlyName || null,
+      area_code: getAreaCode(normalized),
+      daily_cap: cap.value
+    });
+    if (!number) {
+      return res.status(500).json({ error: 'Failed to add number' });
+    }
+    res.status(201).json(await callerIdPool.getNumber(number.id));
+  } catch (error) {
+    logger.error('Error adding caller-ID number:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Get one pool number
+router.get('/:id', async (req, res) => {
+  try {
+    const number = await callerIdPool.getNumber(req.params.id);
+    if (!number) {
+      return res.status(404).json({ error: 'Number not found' });
+    }
+    res.status(200).json(number);
+  } catch (error) {
+    logger.error('Error getting caller-ID number:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Update name, daily cap, or retire / reactivate a number
+router.patch('/:id', async (req, res) => {
+  try {
+    const number = await dbService.getPhoneNumber(req.params.id);
+    if (!number) {
+      return res.status(404).json({ error: 'Number not found' });
+    }
+
+    const { friendlyName, dailyCap, status } = req.body;
+    const updateData = {};
+    if (friendlyName !== undefined) updateData.friendly_name = friendlyName;
+    if (dailyCap !== undefined) {
+      const cap = parseDailyCap(dailyCap);
+      if (cap.error) {
+        return res.status(400).json({ error: cap.error });
+      }
+      updateData.daily_cap = cap.value;
+    }
+    if (status !== undefined) {
+      if (!NUMBER_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${NUMBER_STATUSES.join(', ')}` });
+      }
+      updateData.status = status;
+    }
+
+    await dbService.updatePhoneNumber(number.id, updateData);
+    res.status(200).json(await callerIdPool.getNumber(number.id));
+  } catch (error) {
+    logger.error('Error updating caller-ID number:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Remove a number from the pool entirely
+router.delete('/:id', async (req, res) => {
+  try {
+    const removed = await dbService.deletePhoneNumber(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Number not found' });
+    }
+    res.status(200).json({ message: 'Number removed from pool' });
+  } catch (error) {
+    logger.error('Error removing caller-ID number:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
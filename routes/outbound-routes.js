@@ -35,16 +35,25 @@ const twilioClient = twilio(
 );
 
 // --- BullMQ Setup ---
-const { Queue } = require('bullmq');
-const QUEUE_NAME = 'outbound-calls';
-const outboundCallQueue = new Queue(QUEUE_NAME, {
-    connection: redisConnectionOptions,
-    defaultJobOptions: {
-        attempts: 3, // Retry failed jobs 3 times
-        backoff: { type: 'exponential', delay: 1000 } // Exponential backoff
-    }
-});
-logger.info(`Queue '${QUEUE_NAME}' initialized.`);
+// The queue lives in its own module so the campaign dispatcher can share it
+const { outboundCallQueue } = require('../utils/outboundQueue');
+const campaignManager = require('../utils/campaignManager');
+const dncRegistry = require('../utils/dncRegistry');
+const callingHours = require('../utils/callingHours');
+const redialPolicy = require('../utils/redialPolicy');
+const voicemailDrop = require('../utils/voicemailDrop');
+const callerIdPool = require('../utils/callerIdPool');
+const personalization = require('../utils/personalization');
+const voiceSelection = require('../utils/voiceSelection');
+const callTransfer = require('../utils/callTransfer');
+const callRecorder = require('../utils/callRecorder');
+const callOutcome = require('../utils/callOutcome');
+const webhookDispatcher = require('../utils/webhookDispatcher');
+const twilioSecurity = require('../utils/twilioSecurity');
+const inboundCalls = require('../utils/inboundCalls');
+const keypadInput = require('../utils/keypadInput');
+const voicemailCapture = require('../utils/voicemailCapture');
+const { idempotent, twilioCallStatusKey } = require('../utils/webhookIdempotency');
 // ---------------------
 
 // --- Rate Limiter Placeholder --- 
@@ -67,13 +76,16 @@ const WebSocket = require('ws');
 // This is a clearer name than the older version that was: 'twilio-audio:'
 // const AUDIO_CHANNEL_PREFIX = 'twilio-audio:';
 
+// Media stream URLs: /api/<outbound|inbound>/stream/<sessionId>/<token>
+const STREAM_PATH_PATTERN = /^\/api\/(outbound|inbound)\/stream\/([^/]+)\/([^/]+)$/;
+
 const serverAudioBuffers = new Map(); // sessionId -> array of payload strings
 const MAX_SERVER_BUFFER_SIZE = 20; // limit buffered chunks per session
 let wssInstance = null; // Store WebSocket server reference globally
 
 function setupWebSocketServer(httpServer) {
-  // Match any path starting with /api/outbound/stream/
-  // Ensure this path doesn't conflict with other WebSocket paths
+  // Match outbound and inbound media stream paths
+  // Ensure these paths don't conflict with other WebSocket paths
   const wss = new WebSocket.Server({
        noServer: true, // We'll handle upgrade manually for path matching
        clientTracking: true // Keep track of clients for broadcasting/targeting if needed (though Pub/Sub is better)
@@ -85,7 +97,17 @@ function setupWebSocketServer(httpServer) {
   // Handle HTTP upgrade requests to filter for our specific path
   httpServer.on('upgrade', (request, socket, head) => {
     const pathname = require('url').parse(request.url).pathname;
-    if (pathname.startsWith('/api/outbound/stream/')) {
+    const streamMatch = STREAM_PATH_PATTERN.exec(pathname);
+    if (streamMatch) {
+      // Only the call we placed (or answered) knows the signed token
+      const [, , streamSessionId, streamToken] = streamMatch;
+      const { valid, reason } = twilioSecurity.verifyStreamToken(streamSessionId, streamToken);
+      if (!valid) {
+        logger.warn(`[${streamSessionId}] Rejected media stream upgrade: ${reason}`);
+        socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        socket.destroy();
+        return;
+      }
       wss.handleUpgrade(request, socket, head, (ws) => {
         wss.emit('connection', ws, request); 
       });
@@ -105,13 +127,15 @@ function setupWebSocketServer(httpServer) {
     logger.info(`>>> WebSocket connection event fired. Original URL: ${req.url}`);
     // Extract session ID from the PATH
     let sessionId; // This sessionId corresponds to the ElevenLabs session
+    let direction; // 'outbound' or 'inbound'
     try {
       const url = require('url');
       const parsedPath = url.parse(req.url).pathname;
-      const pathParts = parsedPath.split('/');
-      // Expecting /api/outbound/stream/SESSION_ID
-      if (pathParts.length === 5 && pathParts[1] === 'api' && pathParts[2] === 'outbound' && pathParts[3] === 'stream') {
-           sessionId = pathParts[4];
+      // Expecting /api/<direction>/stream/SESSION_ID/TOKEN (token checked on upgrade)
+      const streamMatch = STREAM_PATH_PATTERN.exec(parsedPath);
+      if (streamMatch) {
+           direction = streamMatch[1];
+           sessionId = streamMatch[2];
       }
     } catch (err) {
       logger.error('Error parsing WebSocket request URL path:', err);
@@ -128,7 +152,10 @@ function setupWebSocketServer(httpServer) {
     logger.info(`${logPrefix} Twilio stream attempting connection.`);
     
     // --- PHASE 3: Get Call Info ONLY from Redis --- 
-    let callInfo = await sessionManager.getOutboundSession(sessionId);
+    // Inbound sessions are keyed by the provider call ID and found via the session mapping
+    let callInfo = direction === 'inbound'
+        ? await inboundCalls.getStreamCallInfo(sessionId)
+        : await sessionManager.getOutboundSession(sessionId);
     // --- Remove global fallback --- 
 
     if (!callInfo) { // Check Redis result directly
@@ -147,10 +174,19 @@ function setupWebSocketServer(httpServer) {
         // Check if the session exists in any process via Redis
         const sessionInfo = await elevenlabs.sessionExistsAnywhere(sessionId);
         
-        if (!sessionInfo.exists) {
+        // Inbound conversations are always started by this process
+        if (!sessionInfo.exists || direction === 'inbound') {
             logger.error(`${logPrefix} ElevenLabs session (${sessionId}) is inactive and not found in Redis. Cannot connect Twilio stream. Closing.`);
             // Clean up Redis state if call shouldn't be active
-       await sessionManager.deleteOutboundSession(sessionId);
+       if (direction === 'inbound') {
+           // Twilio callers can still leave a message
+           if (callInfo.provider === 'twilio') {
+               await voicemailCapture.redirectToVoicemail(callInfo.callId, callInfo);
+           }
+           await inboundCalls.completeInboundCall(callInfo.callId);
+       } else {
+           await sessionManager.deleteOutboundSession(sessionId);
+       }
        ws.close(1011, 'ElevenLabs session inactive or closed');
        return;
         } 
@@ -236,6 +272,7 @@ function setupWebSocketServer(httpServer) {
                       
                       try {
                           ws.send(JSON.stringify(twilioMediaMessage));
+                          callRecorder.addAgentAudio(sessionId, data.audioBase64);
                           logger.info(`${logPrefix} [DEBUG] Successfully sent audio to Twilio WebSocket`);
                       } catch (wsError) {
                           logger.error(`${logPrefix} [DEBUG] Error sending audio to Twilio WebSocket: ${wsError.message}`);
@@ -302,6 +339,11 @@ function setupWebSocketServer(httpServer) {
                 if (ws.callInfo) {
                     ws.callInfo.streamSid = streamSid;
                     logger.info(`${logPrefix} [DEBUG] Updated streamSid in call info`);
+
+                    // Opt-in dual-channel recording starts with the stream
+                    if (ws.callInfo.record) {
+                        callRecorder.startRecording(sessionId, ws.callInfo.callSid);
+                    }
                     
                     // Run audio diagnostic test
                     logger.info(`${logPrefix} [DEBUG] Running audio diagnostic test`);
@@ -328,6 +370,7 @@ function setupWebSocketServer(httpServer) {
                             
                             try {
                                 ws.send(JSON.stringify(twilioMediaMessage));
+                                callRecorder.addAgentAudio(sessionId, chunk.audioBase64);
                                 logger.info(`${logPrefix} [DEBUG] Sent buffered audio chunk to Twilio, sequence: ${chunk.sequenceNumber || 'unknown'}`);
                             } catch (wsError) {
                                 logger.error(`${logPrefix} [DEBUG] Error sending buffered audio: ${wsError.message}`);
@@ -352,6 +395,8 @@ function setupWebSocketServer(httpServer) {
                 
                 // Verify we're receiving audio content
                 if (data.media.payload) {
+                    callRecorder.addCallerAudio(sessionId, data.media.payload, data.media.timestamp);
+
                     // Log first few bytes of the audio data
                     try {
                         const buffer = Buffer.from(data.media.payload, 'base64');
@@ -417,6 +462,12 @@ function setupWebSocketServer(httpServer) {
                 } else {
                     logger.warn(`${logPrefix} [DEBUG] Received media message without payload`);
                 }
+            } else if (data.event === 'dtmf' && data.dtmf) {
+                // Keypad input: logged, passed to the agent and matched against the keypad rules
+                keypadInput.handleDigit({ sessionId, direction, callInfo: ws.callInfo, digit: data.dtmf.digit })
+                    .catch(error => {
+                        logger.error(`${logPrefix} Error handling DTMF digit ${data.dtmf.digit}:`, error);
+                    });
             }
         } catch (error) {
             logger.error(`${logPrefix} [DEBUG] Error processing Twilio WebSocket message:`, error);
@@ -437,6 +488,19 @@ function setupWebSocketServer(httpServer) {
             subscriberClient.unsubscribe(audioChannel, handler);
             activeSubscriptions.delete(sessionId);
         }
+        keypadInput.clearSession(sessionId);
+        // Mix and store the recording now that both tracks are complete
+        if (callRecorder.isRecording(sessionId)) {
+            callRecorder.finishRecording(sessionId).catch(error => {
+                logger.error(`${logPrefix} Error finishing recording:`, error);
+            });
+        }
+        // Inbound Twilio calls have no status callback; the stream ends with the call
+        if (direction === 'inbound') {
+            inboundCalls.completeInboundCall(ws.callInfo.callId).catch(error => {
+                logger.error(`${logPrefix} Error completing inbound call:`, error);
+            });
+        }
     });
   });
 
@@ -446,19 +510,67 @@ function setupWebSocketServer(httpServer) {
 // --- MODIFIED /start route --- 
 // Use the startCallLimiter variable which will be updated later
 router.post('/start', (req, res, next) => startCallLimiter(req, res, next), async (req, res) => {
-    const { to, from, n8nWorkflowUrl } = req.body;
+    const {
+        to, from, n8nWorkflowUrl, timezone, callingWindow, name, voicemailMessage,
+        variables, firstMessage, prompt, agentId, voiceId, modelId, record
+    } = req.body;
 
-  if (!to || !from) {
+  // `from` is optional: without it the worker picks a caller ID from the number pool
+  if (!to) {
         logger.warn('Missing required parameters for /start endpoint.');
-    return res.status(400).json({ error: 'Missing required parameters: to, from' });
+    return res.status(400).json({ error: 'Missing required parameter: to' });
   }
 
+    // Optional overrides for the lead's local calling hours
+    if (timezone && !callingHours.isValidTimezone(timezone)) {
+        return res.status(400).json({ error: `Unknown timezone: ${timezone}` });
+    }
+    if (callingWindow) {
+        const { error: windowError } = callingHours.resolveWindow(callingWindow);
+        if (windowError) {
+            return res.status(400).json({ error: windowError });
+        }
+    }
+
+    // Per-lead personalization (lead name, company, product interest, previous-call notes, ...)
+    const variablesError = personalization.validateVariables(variables);
+    if (variablesError) {
+        return res.status(400).json({ error: variablesError });
+    }
+
+    // Per-call agent / voice / TTS model, restricted to the configured allowlists
+    const selectionError = voiceSelection.validateSelection({ agentId, voiceId, modelId });
+    if (selectionError) {
+        return res.status(400).json({ error: selectionError });
+    }
+
+    // Recording is opt-in per call
+    if (record !== undefined && typeof record !== 'boolean') {
+        return res.status(400).json({ error: 'record must be a boolean' });
+    }
+
+    // Lifecycle webhooks are posted to this URL
+    if (n8nWorkflowUrl && !webhookDispatcher.isValidWebhookUrl(n8nWorkflowUrl)) {
+        return res.status(400).json({ error: 'n8nWorkflowUrl must be an http(s) URL' });
+    }
+
     try {
         const jobId = uuidv4(); // Generate a unique ID for the job
         const jobData = { 
             to,
-            from,
+            from: from || null,
             n8nWorkflowUrl: n8nWorkflowUrl || null,
+            timezone: timezone || null,
+            callingWindow: callingWindow || null,
+            leadName: name || null,
+            voicemailMessage: voicemailMessage || null,
+            variables: variables || null,
+            firstMessage: firstMessage || null,
+            prompt: prompt || null,
+            agentId: agentId || null,
+            voiceId: voiceId || null,
+            modelId: modelId || null,
+            record: record === true,
             jobId // Pass jobId to worker for logging/tracking
          };
 
@@ -467,7 +579,8 @@ router.post('/start', (req, res, next) => startCallLimiter(req, res, next), asyn
             jobId: jobId // Use custom jobId for potential tracking
     });
 
-        logger.info(`[API][Job ${jobId}] Added call initiation job to queue for ${to} from ${from}`);
+        logger.info(`[API][Job ${jobId}] Added call initiation job to queue for ${to} from ${from || 'number pool'}`);
+        await webhookDispatcher.emitEvent(jobData.n8nWorkflowUrl, 'call.queued', webhookDispatcher.buildCallPayload(jobData));
 
         // Respond immediately to the client
         res.status(202).json({ 
@@ -482,9 +595,81 @@ router.post('/start', (req, res, next) => startCallLimiter(req, res, next), asyn
 });
 // --- End of MODIFIED /start route ---
 
+// Look up a queued call by the jobId returned from /start
+router.get('/jobs/:jobId', async (req, res) => {
+    const { jobId } = req.params;
+    try {
+        const job = await outboundCallQueue.getJob(jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const state = await job.getState();
+        const result = job.returnvalue || {};
+        const response = {
+            jobId,
+            state,
+            to: job.data.to,
+            attemptsMade: job.attemptsMade,
+            maxAttempts: job.opts.attempts || 1,
+            failedReason: job.failedReason || null,
+            createdAt: new Date(job.timestamp).toISOString(),
+            processedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+            finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+            suppressed: Boolean(result.suppressed),
+            sessionId: result.sessionId || null,
+            callSid: result.callSid || null,
+            callStatus: null
+        };
+
+        // Live status comes from the Redis session while it exists, then from the DB
+        if (response.sessionId) {
+            const callInfo = await sessionManager.getOutboundSession(response.sessionId);
+            if (callInfo) {
+                response.callStatus = callInfo.status;
+                response.disposition = callInfo.disposition || null;
+            } else if (response.callSid) {
+                const callRecord = await dbService.getCallByExternalId(response.callSid);
+                response.callStatus = callRecord ? callRecord.status : null;
+            }
+        }
+
+        res.status(200).json(response);
+    } catch (error) {
+        logger.error(`[API][Job ${jobId}] Error fetching job status:`, error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Cancel a queued call that has not been dialed yet
+router.delete('/jobs/:jobId', async (req, res) => {
+    const { jobId } = req.params;
+    try {
+        const job = await outboundCallQueue.getJob(jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const state = await job.getState();
+        if (!['waiting', 'delayed', 'prioritized'].includes(state)) {
+            return res.status(409).json({ error: `Job cannot be cancelled in state '${state}'` });
+        }
+
+        await job.remove();
+        if (job.data.leadId) {
+            await campaignManager.recordLeadCallStatus(job.data.leadId, 'canceled');
+        }
+        logger.info(`[API][Job ${jobId}] Cancelled queued call to ${job.data.to} (was ${state})`);
+        res.status(200).json({ jobId, state: 'cancelled', message: 'Queued call cancelled' });
+    } catch (error) {
+        logger.error(`[API][Job ${jobId}] Error cancelling job:`, error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
 // Status Callback Endpoint (Receives updates from Twilio about the call)
 // Consider adding rate limiting here too if needed
-router.post('/status/:sessionId', async (req, res) => {
+router.post('/status/:sessionId', twilioSecurity.validateTwilioSignature, idempotent(twilioCallStatusKey), async (req, res) => {
   const sessionId = req.params.sessionId;
     const { CallSid, CallStatus, CallDuration, ErrorCode, ErrorMessage } = req.body;
     const logPrefix = `[${sessionId}/${CallSid}]`;
@@ -501,6 +686,11 @@ router.post('/status/:sessionId', async (req, res) => {
             return res.sendStatus(200);
         }
 
+        // Count answered calls towards the caller ID's answer rate (once per call)
+        if (CallStatus === 'in-progress' && callInfo.status !== 'in-progress') {
+            await callerIdPool.recordAnswered(callInfo.from);
+        }
+
         // Update status and potentially other fields
         callInfo.status = CallStatus;
         callInfo.duration = CallDuration;
@@ -519,19 +709,67 @@ router.post('/status/:sessionId', async (req, res) => {
         await sessionManager.saveOutboundSession(sessionId, callInfo, ttl);
    // --- Remove global update ---
 
+        const callRecord = await dbService.getCallByExternalId(CallSid);
+        const isFinal = ['completed', 'failed', 'canceled', 'busy', 'no-answer'].includes(CallStatus);
+
+        // Lifecycle webhook (call.ringing / call.answered / call.completed / call.failed)
+        await webhookDispatcher.emitCallStatus(sessionId, callInfo, CallStatus, {
+            callId: callRecord ? callRecord.id : null,
+            duration: CallDuration ? parseInt(CallDuration, 10) : null,
+            answeredBy: callInfo.answeredBy || null,
+            disposition: isFinal ? callInfo.disposition || null : null,
+            errorCode: ErrorCode || null
+        });
+
+        // Busy / unanswered calls may be redialed later as a delayed job
+        let redial = null;
+        if (isFinal) {
+            const originalCallId = callInfo.originalCallId || (callRecord ? callRecord.id : null);
+            redial = await redialPolicy.scheduleRedial(callInfo, CallStatus, originalCallId);
+        }
+
+        // Keep campaign lead progress in step with the call
+        if (callInfo.leadId) {
+            if (redial) {
+                await campaignManager.recordLeadRedial(callInfo.leadId, redial.jobId, redial.attempt, CallSid);
+            } else {
+                await campaignManager.recordLeadCallStatus(callInfo.leadId, CallStatus, CallSid);
+            }
+        }
+
         // --- Phase 3: Update DB using callSid (No change needed here) ---
-  const callRecord = await dbService.getCallByExternalId(CallSid);
   if (callRecord) {
       const updateData = { 
           status: CallStatus, 
                 duration: CallDuration ? parseInt(CallDuration, 10) : null,
             };
             // Set end time only for final states
-            if (['completed', 'failed', 'canceled', 'busy', 'no-answer'].includes(CallStatus)) {
+            if (isFinal) {
                 updateData.end_time = new Date();
                 if (ErrorCode) updateData.failure_reason = `Twilio Error ${ErrorCode}: ${ErrorMessage || 'Unknown'}`;
       }
+            const callDataPatch = {};
+            if (isFinal && callInfo.disposition) {
+                callDataPatch.disposition = callInfo.disposition;
+            }
+            if (callInfo.answeredBy) {
+                callDataPatch.answeredBy = callInfo.answeredBy;
+            }
+            if (callInfo.transfer) {
+                callDataPatch.transfer = callInfo.transfer;
+            }
+            if (redial) {
+                callDataPatch.redial = { jobId: redial.jobId, attempt: redial.attempt, scheduledFor: redial.runAt.toISOString() };
+            }
+            if (Object.keys(callDataPatch).length > 0) {
+                await dbService.mergeCallData(callRecord.id, callDataPatch, updateData);
+            } else {
       await dbService.updateCall(callRecord.id, updateData);
+            }
+            // Opt-outs go straight onto the DNC list
+            if (callDataPatch.disposition && await dncRegistry.applyDisposition(callInfo.disposition, callInfo.to, CallSid)) {
+                logger.info(`${logPrefix} Added ${callInfo.to} to the DNC list after ${callInfo.disposition} disposition.`);
+            }
              logger.info(`${logPrefix} Updated DB record status to ${CallStatus}.`);
   } else {
             logger.warn(`${logPrefix} Could not find DB record for CallSid ${CallSid} during status update.`);
@@ -540,6 +778,31 @@ router.post('/status/:sessionId', async (req, res) => {
         // --- End Phase 3 ---
 
         res.sendStatus(200); // Acknowledge receipt to Twilio
+
+        // Classify the conversation once the call is over, then hand the transcript to the
+        // workflow (runs after the response; it calls OpenAI)
+        if (CallStatus === 'completed' && callRecord) {
+            (async () => {
+                // The transcript is sent even when the analysis fails
+                let outcome = null;
+                if (callOutcome.ANALYSIS_ENABLED) {
+                    try {
+                        outcome = await callOutcome.analyzeCall(callRecord.id);
+                    } catch (analysisError) {
+                        logger.error(`${logPrefix} Error analyzing call outcome:`, analysisError);
+                    }
+                }
+                const transcript = await sessionManager.getOutboundMessages(sessionId);
+                await webhookDispatcher.emitEvent(callInfo.n8nWorkflowUrl, 'transcript.ready',
+                    webhookDispatcher.buildCallPayload({ ...callInfo, sessionId }, {
+                        callId: callRecord.id,
+                        transcript: transcript.map(({ role, text, timestamp }) => ({ role, text, timestamp })),
+                        outcome
+                    }));
+            })().catch(error => {
+                logger.error(`${logPrefix} Error in post-call processing:`, error);
+            });
+        }
     
       } catch (error) {
          logger.error(`${logPrefix} Error processing Twilio status callback:`, error);
@@ -547,6 +810,109 @@ router.post('/status/:sessionId', async (req, res) => {
      }
 });
 
+// Async answering-machine detection result (Twilio asyncAmdStatusCallback)
+router.post('/amd/:sessionId', twilioSecurity.validateTwilioSignature, async (req, res) => {
+    const sessionId = req.params.sessionId;
+    const { CallSid, AnsweredBy, MachineDetectionDuration } = req.body;
+    const logPrefix = `[${sessionId}/${CallSid}]`;
+
+    logger.info(`${logPrefix} AMD result: ${AnsweredBy} (${MachineDetectionDuration || '?'} ms)`);
+
+    try {
+        const callInfo = await sessionManager.getOutboundSession(sessionId);
+        if (!callInfo) {
+            logger.error(`${logPrefix} Cannot find session data in Redis for AMD result. Ignoring.`);
+            return res.sendStatus(200);
+        }
+
+        callInfo.answeredBy = AnsweredBy;
+        await sessionManager.saveOutboundSession(sessionId, callInfo, 24 * 3600);
+
+        // Respond right away; the voicemail drop involves TTS and a call update
+        res.sendStatus(200);
+
+        if (voicemailDrop.isMachine(AnsweredBy)) {
+            await voicemailDrop.dropVoicemail(sessionId, callInfo, CallSid);
+        }
+    } catch (error) {
+        logger.error(`${logPrefix} Error processing AMD callback:`, error);
+        if (!res.headersSent) {
+            res.status(500).send('Error processing AMD result');
+        }
+    }
+});
+
+// Synthesized voicemail audio, fetched by Twilio's <Play>
+router.get('/voicemail/:sessionId.mp3', async (req, res) => {
+    try {
+        const audio = await voicemailDrop.getVoicemailAudio(req.params.sessionId);
+        if (!audio) {
+            return res.sendStatus(404);
+        }
+        res.set('Content-Type', 'audio/mpeg');
+        res.send(audio);
+    } catch (error) {
+        logger.error(`[${req.params.sessionId}] Error serving voicemail audio:`, error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Warm transfer of a live call from the AI agent to a human rep
+router.post('/calls/:sessionId/transfer', async (req, res) => {
+    const sessionId = req.params.sessionId;
+    const { target, reason } = req.body || {};
+
+    try {
+        const result = await callTransfer.transferCall(sessionId, { target, reason, trigger: 'api' });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.status(200).json({ message: 'Call transferred', sessionId, transfer: result.transfer });
+    } catch (error) {
+        logger.error(`[${sessionId}] Error transferring call:`, error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Whisper played to the rep before a transferred call is bridged (Twilio <Number url>)
+router.post('/transfer/whisper/:sessionId', twilioSecurity.validateTwilioSignature, async (req, res) => {
+    try {
+        res.type('text/xml');
+        res.send(await callTransfer.buildWhisperTwiml(req.params.sessionId));
+    } catch (error) {
+        logger.error(`[${req.params.sessionId}] Error building transfer whisper:`, error);
+        res.status(500).send('Error building whisper');
+    }
+});
+
+// Attempt history (original call plus automatic redials) for a call
+router.get('/calls/:callSid/attempts', async (req, res) => {
+    try {
+        const callRecord = await dbService.getCallByExternalId(req.params.callSid);
+        if (!callRecord) {
+            return res.status(404).json({ error: 'Call not found' });
+        }
+
+        const originalCallId = callRecord.original_call_id || callRecord.id;
+        const attempts = await dbService.getCallAttempts(originalCallId);
+        res.status(200).json({
+            originalCallId,
+            maxAttempts: redialPolicy.MAX_ATTEMPTS,
+            attempts: attempts.map(call => ({
+                attempt: call.attempt,
+                callSid: call.call_id,
+                status: call.status,
+                startTime: call.start_time,
+                endTime: call.end_time,
+                redial: (call.call_data && call.call_data.redial) || null
+            }))
+        });
+    } catch (error) {
+        logger.error(`Error fetching attempts for call ${req.params.callSid}:`, error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
 router.post('/start-call', rateLimit({ windowMs: 60000, max: 10 }), async (req, res) => {
     try {
         // ... existing code ...
@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { dbService } = require('../utils/dbClient');
+const inboundRouting = require('../utils/inboundRouting');
+
+function formatRule(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    agentId: rule.agent_id,
+    priority: rule.priority,
+    enabled: rule.enabled,
+    toNumbers: rule.to_numbers,
+    hours: rule.hours,
+    hoursMatch: rule.hours_match,
+    holidays: rule.holidays,
+    callerType: rule.caller_type,
+    createdAt: rule.created_at,
+    updatedAt: rule.updated_at
+  };
+}
+
+// List routing rules in evaluation order
+router.get('/', async (req, res) => {
+  try {
+    const rules = await dbService.listRoutingRules();
+    res.status(200).json({ rules: rules.map(formatRule) });
+  } catch (error) {
+    logger.error('Error listing routing rules:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Show which rule an inbound call would match (?to=&from=&at=)
+router.get('/resolve', async (req, res) => {
+  try {
+    const { to, from, at } = req.query;
+    if (!to) {
+      return res.status(400).json({ error: 'to is required' });
+    }
+    const now = at ? new Date(at) : new Date();
+    if (isNaN(now.getTime())) {
+      return res.status(400).json({ error: 'at must be a date' });
+    }
+    const route = await inboundRouting.selectRoute({ to, from, now });
+    res.status(200).json({
+      ...inboundRouting.describeRoute(route),
+      rule: route.rule ? formatRule(route.rule) : null
+    });
+  } catch (error) {
+    logger.error('Error resolving inbound route:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Create a routing rule
+router.post('/', async (req, res) => {
+  try {
+    const { values, error } = inboundRouting.validateRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const rule = await dbService.createRoutingRule(values);
+    if (!rule) {
+      return res.status(500).json({ error: 'Failed to create routing rule' });
+    }
+    logger.info(`[Routing] Created rule "${rule.name}" (${rule.id}) -> agent ${rule.agent_id}`);
+    res.status(201).json(formatRule(rule));
+  } catch (error) {
+    logger.error('Error creating routing rule:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Get one routing rule
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await dbService.getRoutingRule(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Routing rule not found' });
+    }
+    res.status(200).json(formatRule(rule));
+  } catch (error) {
+    logger.error('Error getting routing rule:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Update a routing rule
+router.patch('/:id', async (req, res) => {
+  try {
+    const rule = await dbService.getRoutingRule(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Routing rule not found' });
+    }
+    const { values, error } = inboundRouting.validateRule(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided' });
+    }
+    await dbService.updateRoutingRule(rule.id, values);
+    logger.info(`[Routing] Updated rule ${rule.id}: ${Object.keys(values).join(', ')}`);
+    res.status(200).json(formatRule(await dbService.getRoutingRule(rule.id)));
+  } catch (error) {
+    logger.error('Error updating routing rule:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Delete a routing rule
+router.delete('/:id', async (req, res) => {
+  try {
+    const removed = await dbService.deleteRoutingRule(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Routing rule not found' });
+    }
+    logger.info(`[Routing] Deleted rule ${req.params.id}`);
+    res.status(200).json({ id: req.params.id, message: 'Routing rule deleted' });
+  } catch (error) {
+    logger.error('Error deleting routing rule:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+module.exports = router;
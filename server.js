@@ -10,6 +10,15 @@ const {
     initializeRateLimiters 
 } = require('./routes/outbound-routes');
 const knowledgeRoutes = require('./routes/knowledge-routes');
+const campaignRoutes = require('./routes/campaign-routes');
+const dncRoutes = require('./routes/dnc-routes');
+const numberRoutes = require('./routes/number-routes');
+const callRoutes = require('./routes/call-routes');
+const keyRoutes = require('./routes/key-routes');
+const routingRoutes = require('./routes/routing-routes');
+const { apiKeyAuth } = require('./utils/apiKeys');
+const { captureRawBody } = require('./utils/openphoneSecurity');
+const campaignManager = require('./utils/campaignManager');
 const { redisClient, connectRedis, subscriberClient } = require('./utils/redisClient'); // Import redisClient
 const { dbService } = require('./utils/dbClient');     // Import DB service
 const {
@@ -28,7 +37,10 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// CSV lead imports sent as JSON { csv } get the import size limit rather than the 100kb default
+app.use('/api/outbound/campaigns/:id/leads/import', express.json({ limit: campaignManager.CSV_IMPORT_MAX_SIZE }));
+// Inbound webhooks keep their raw body for signature verification
+app.use(express.json({ verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging
@@ -40,10 +52,19 @@ app.use((req, res, next) => {
   next();
 });
 
+// API key authentication and scope checks for the management API
+app.use('/api', apiKeyAuth);
+
 // Routes
 app.use('/api/inbound', inboundRoutes);
+app.use('/api/outbound/campaigns', campaignRoutes);
 app.use('/api/outbound', outboundRouter);
 app.use('/api/knowledge', knowledgeRoutes);
+app.use('/api/dnc', dncRoutes);
+app.use('/api/numbers', numberRoutes);
+app.use('/api/calls', callRoutes);
+app.use('/api/keys', keyRoutes);
+app.use('/api/routing-rules', routingRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -95,10 +116,13 @@ async function startServer() {
     setupOutboundWebSocketServer(server); // Setup for outbound calls
     logger.info('Outbound WebSocket server attached to HTTP server.');
 
+    // Start pacing running campaigns onto the outbound call queue
+    campaignManager.startDispatcher();
+
     // Start listening
       server.listen(PORT, () => {
         logger.info(`Server (HTTP & WebSocket) running on port ${PORT} in ${process.env.NODE_ENV || 'development'} mode`);
-      logger.info(`Outbound WebSocket stream path: /api/outbound/stream/:sessionId`);
+      logger.info(`Media stream paths: /api/outbound/stream/:sessionId/:token, /api/inbound/stream/:sessionId/:token`);
     });
 
   } catch (error) {
@@ -112,6 +136,7 @@ startServer();
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  campaignManager.stopDispatcher();
   server.close(() => { // Close the HTTP server
       logger.info('HTTP server closed.');
       // Add WebSocket server closing logic if needed
@@ -121,6 +146,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  campaignManager.stopDispatcher();
   server.close(() => { // Close the HTTP server
       logger.info('HTTP server closed.');
        // Add WebSocket server closing logic if needed
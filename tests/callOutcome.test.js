@@ -0,0 +1,136 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/dbClient', () => ({
+  dbService: {
+    getCall: jest.fn(),
+    getCallWithMessages: jest.fn(),
+    saveMessages: jest.fn(),
+    mergeCallData: jest.fn()
+  }
+}));
+jest.mock('../utils/redisClient', () => ({ sessionManager: { getOutboundMessages: jest.fn() } }));
+jest.mock('../utils/dncRegistry', () => ({ OPT_OUT_DISPOSITIONS: ['opt_out'], applyDisposition: jest.fn() }));
+
+const logger = require('../utils/logger');
+const { dbService } = require('../utils/dbClient');
+const { sessionManager } = require('../utils/redisClient');
+const dncRegistry = require('../utils/dncRegistry');
+const callOutcome = require('../utils/callOutcome');
+
+const TRANSCRIPT = [
+  { role: 'agent', text: 'Hi, is now a good time?', timestamp: '2024-05-01T15:00:00.000Z' },
+  { role: 'user', text: 'Call me back tomorrow at 3pm, my email is Jane@Example.com', timestamp: '2024-05-01T15:00:05.000Z' }
+];
+
+function mockCall(callData = {}) {
+  return {
+    id: 'call-1',
+    session_id: 'session-1',
+    call_id: 'CA1',
+    to_number: '+13105550100',
+    start_time: new Date('2024-05-01T15:00:00Z'),
+    call_data: callData
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  callOutcome.setClassifier(null);
+  dbService.getCall.mockResolvedValue(mockCall());
+  dbService.getCallWithMessages.mockResolvedValue({ messages: [] });
+  sessionManager.getOutboundMessages.mockResolvedValue(TRANSCRIPT);
+  dncRegistry.applyDisposition.mockResolvedValue(false);
+});
+
+describe('analyzeCall', () => {
+  test('stores the stub classifier\'s outcome and disposition', async () => {
+    const classify = jest.fn().mockResolvedValue({
+      disposition: 'callback_requested',
+      confidence: 0.9,
+      callbackTime: '2024-05-02T15:00:00-07:00',
+      email: ' Jane@Example.com ',
+      summary: 'Lead asked for a callback tomorrow.'
+    });
+    callOutcome.setClassifier({ name: 'stub', classify });
+
+    const outcome = await callOutcome.analyzeCall('call-1');
+
+    expect(classify).toHaveBeenCalledWith(TRANSCRIPT, { callDate: '2024-05-01T15:00:00.000Z', timezone: undefined });
+    expect(outcome).toMatchObject({
+      disposition: 'callback_requested',
+      confidence: 0.9,
+      classifier: 'stub',
+      fields: { callbackTime: '2024-05-02T15:00:00-07:00', email: 'jane@example.com', summary: 'Lead asked for a callback tomorrow.' }
+    });
+    expect(dbService.mergeCallData).toHaveBeenCalledWith('call-1', { outcome, disposition: 'callback_requested' });
+    // The Redis transcript is kept as Message rows
+    expect(dbService.saveMessages).toHaveBeenCalledWith(expect.arrayContaining([expect.objectContaining({ call_id: 'call-1', role: 'user' })]));
+  });
+
+  test('keeps a disposition set during the call', async () => {
+    dbService.getCall.mockResolvedValue(mockCall({ disposition: 'transferred' }));
+    callOutcome.setClassifier({ name: 'stub', classify: jest.fn().mockResolvedValue({ disposition: 'interested', confidence: 0.7 }) });
+
+    const outcome = await callOutcome.analyzeCall('call-1');
+
+    expect(dbService.mergeCallData).toHaveBeenCalledWith('call-1', { outcome });
+    expect(dncRegistry.applyDisposition).not.toHaveBeenCalled();
+  });
+
+  test('suppresses the number on a classified opt-out', async () => {
+    callOutcome.setClassifier({ name: 'stub', classify: jest.fn().mockResolvedValue({ disposition: 'opt_out', confidence: 1 }) });
+    await callOutcome.analyzeCall('call-1');
+    expect(dncRegistry.applyDisposition).toHaveBeenCalledWith('opt_out', '+13105550100', 'CA1');
+  });
+
+  test('suppresses the number on a classified opt-out even when the call disposition is kept', async () => {
+    dbService.getCall.mockResolvedValue(mockCall({ disposition: 'transferred' }));
+    callOutcome.setClassifier({ name: 'stub', classify: jest.fn().mockResolvedValue({ disposition: 'opt_out', confidence: 0.9 }) });
+
+    const outcome = await callOutcome.analyzeCall('call-1');
+
+    expect(dbService.mergeCallData).toHaveBeenCalledWith('call-1', { outcome });
+    expect(dncRegistry.applyDisposition).toHaveBeenCalledWith('opt_out', '+13105550100', 'CA1');
+  });
+
+  test('leaves the call unclassified when the classifier fails', async () => {
+    callOutcome.setClassifier({ name: 'stub', classify: jest.fn().mockRejectedValue(new Error('rate limited')) });
+    await expect(callOutcome.analyzeCall('call-1')).resolves.toBeNull();
+    expect(dbService.mergeCallData).not.toHaveBeenCalled();
+  });
+
+  test('leaves the call unclassified when the default classifier cannot be built', async () => {
+    const apiKey = process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+    try {
+      await expect(callOutcome.analyzeCall('call-1')).resolves.toBeNull();
+    } finally {
+      if (apiKey !== undefined) {
+        process.env.OPENAI_API_KEY = apiKey;
+      }
+    }
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Outcome classification failed'), expect.any(String));
+    expect(dbService.mergeCallData).not.toHaveBeenCalled();
+  });
+
+  test('ignores a result without a known disposition', async () => {
+    callOutcome.setClassifier({ name: 'stub', classify: jest.fn().mockResolvedValue({ disposition: 'maybe', confidence: 0.5 }) });
+    await expect(callOutcome.analyzeCall('call-1')).resolves.toBeNull();
+    expect(dbService.mergeCallData).not.toHaveBeenCalled();
+  });
+
+  test('skips calls where the lead never spoke', async () => {
+    const classify = jest.fn();
+    callOutcome.setClassifier({ name: 'stub', classify });
+    sessionManager.getOutboundMessages.mockResolvedValue([TRANSCRIPT[0]]);
+
+    await expect(callOutcome.analyzeCall('call-1')).resolves.toBeNull();
+    expect(classify).not.toHaveBeenCalled();
+  });
+});
+
+describe('normalizeResult', () => {
+  test('clamps the confidence and drops invalid emails', () => {
+    expect(callOutcome.normalizeResult({ disposition: 'interested', confidence: 3, email: 'not-an-email' }))
+      .toEqual({ disposition: 'interested', confidence: 1, fields: { callbackTime: null, email: null, summary: null } });
+  });
+});
@@ -0,0 +1,39 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('twilio', () => jest.fn(() => ({})));
+jest.mock('openai', () => ({ OpenAI: jest.fn() }));
+jest.mock('../utils/elevenlabsClient', () => ({}));
+jest.mock('../utils/redisClient', () => ({ redisClient: {}, sessionManager: {} }));
+
+delete process.env.TRANSFER_KEYWORDS;
+
+const { isTransferRequest } = require('../utils/callTransfer');
+
+describe('isTransferRequest', () => {
+  test.each([
+    'Can I speak to a human please?',
+    'I want to TALK TO A PERSON.',
+    'Just let me talk to a real person',
+    'Could I speak to a representative?',
+    "I don't know, just let me talk to a human",
+    'Please transfer me to a human'
+  ])('matches "%s"', text => {
+    expect(isTransferRequest(text)).toBe(true);
+  });
+
+  test.each([
+    "I'm the sales representative here",
+    "You don't sound like a real person",
+    "No, I don't need to talk to a person",
+    'I would rather not speak to a human',
+    'Never talk to a human about this',
+    'I talked to a personal trainer yesterday',
+    'human resources handles that',
+    ''
+  ])('does not match "%s"', text => {
+    expect(isTransferRequest(text)).toBe(false);
+  });
+
+  test('matches a later request even if an earlier one was negated', () => {
+    expect(isTransferRequest("I don't want to talk to a person. Actually, yes, let me talk to a person.")).toBe(true);
+  });
+});
@@ -0,0 +1,112 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/dbClient', () => ({
+  dbService: { listPhoneNumbers: jest.fn(), incrementPhoneNumberStats: jest.fn() }
+}));
+jest.mock('../utils/redisClient', () => {
+  // Just enough of the Redis client for the usage counters
+  const store = new Map();
+  const redisClient = {
+    store,
+    mGet: jest.fn(async keys => keys.map(key => (store.has(key) ? String(store.get(key)) : null))),
+    incr: jest.fn(async key => { store.set(key, (store.get(key) || 0) + 1); return store.get(key); }),
+    decr: jest.fn(async key => { store.set(key, (store.get(key) || 0) - 1); return store.get(key); }),
+    expire: jest.fn(async () => true),
+    del: jest.fn(async key => (store.delete(key) ? 1 : 0))
+  };
+  return { redisClient };
+});
+
+delete process.env.CALLER_ID_STRATEGY;
+delete process.env.CALLER_ID_DAILY_CAP;
+process.env.TWILIO_PHONE_NUMBER = '+15005550006';
+
+const { dbService } = require('../utils/dbClient');
+const { redisClient } = require('../utils/redisClient');
+const callerIdPool = require('../utils/callerIdPool');
+
+const NEW_YORK = { phone_number: '+12125550100', area_code: '212', daily_cap: 10 };
+const LOS_ANGELES = { phone_number: '+13105550100', area_code: '310', daily_cap: 10 };
+const CHICAGO = { phone_number: '+13125550100', area_code: '312', daily_cap: 1 };
+const POOL = [NEW_YORK, LOS_ANGELES, CHICAGO];
+
+// Place calls from a number so it counts as used today
+async function useNumber(number, times) {
+  for (let i = 0; i < times; i++) {
+    await redisClient.incr(`caller_id_usage:${new Date().toISOString().substring(0, 10)}:${number.phone_number}`);
+  }
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  redisClient.store.clear();
+  dbService.listPhoneNumbers.mockResolvedValue(POOL);
+});
+
+describe('selectCallerId', () => {
+  test('uses TWILIO_PHONE_NUMBER when the pool is empty', async () => {
+    dbService.listPhoneNumbers.mockResolvedValue([]);
+    expect(await callerIdPool.selectCallerId('+13105550199')).toEqual({ from: '+15005550006', pooled: false });
+  });
+
+  test('local prefers a number with the lead\'s area code', async () => {
+    await useNumber(LOS_ANGELES, 5);
+    expect(await callerIdPool.selectCallerId('+13105550199', { strategy: 'local' }))
+      .toEqual({ from: LOS_ANGELES.phone_number, pooled: true });
+  });
+
+  test('local falls back to the least used number', async () => {
+    await useNumber(NEW_YORK, 2);
+    await useNumber(LOS_ANGELES, 1);
+    expect((await callerIdPool.selectCallerId('+14155550199', { strategy: 'local' })).from).toBe(CHICAGO.phone_number);
+  });
+
+  test('least_used ignores the area code', async () => {
+    await useNumber(LOS_ANGELES, 3);
+    await useNumber(NEW_YORK, 1);
+    expect((await callerIdPool.selectCallerId('+13105550199', { strategy: 'least_used' })).from).toBe(CHICAGO.phone_number);
+  });
+
+  test('round_robin rotates through the pool', async () => {
+    const picks = [];
+    for (let i = 0; i < 3; i++) {
+      picks.push((await callerIdPool.selectCallerId('+13105550199', { strategy: 'round_robin' })).from);
+    }
+    expect(new Set(picks).size).toBe(3);
+  });
+
+  test('honours a requested pool number', async () => {
+    expect((await callerIdPool.selectCallerId('+13105550199', { from: '(212) 555-0100' })).from).toBe(NEW_YORK.phone_number);
+  });
+
+  test('skips numbers at their daily cap', async () => {
+    await useNumber(CHICAGO, 1);
+    expect((await callerIdPool.selectCallerId('+13125550199', { from: CHICAGO.phone_number })).from)
+      .not.toBe(CHICAGO.phone_number);
+  });
+
+  test('returns null when every number is at its cap', async () => {
+    dbService.listPhoneNumbers.mockResolvedValue([CHICAGO]);
+    await useNumber(CHICAGO, 1);
+    expect(await callerIdPool.selectCallerId('+13125550199')).toBeNull();
+  });
+
+  test('does not count the call in the number\'s stats until it is placed', async () => {
+    await callerIdPool.selectCallerId('+13105550199');
+    expect(dbService.incrementPhoneNumberStats).not.toHaveBeenCalled();
+
+    await callerIdPool.recordPlaced(LOS_ANGELES.phone_number);
+    expect(dbService.incrementPhoneNumberStats)
+      .toHaveBeenCalledWith(LOS_ANGELES.phone_number, { calls_total: 1 }, expect.any(Object));
+  });
+});
+
+describe('releaseCallerId', () => {
+  test('gives a claim back so the number can be used again', async () => {
+    dbService.listPhoneNumbers.mockResolvedValue([CHICAGO]);
+    expect((await callerIdPool.selectCallerId('+13125550199')).from).toBe(CHICAGO.phone_number);
+    expect(await callerIdPool.selectCallerId('+13125550199')).toBeNull();
+
+    await callerIdPool.releaseCallerId(CHICAGO.phone_number);
+    expect((await callerIdPool.selectCallerId('+13125550199')).from).toBe(CHICAGO.phone_number);
+  });
+});
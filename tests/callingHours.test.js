@@ -0,0 +1,65 @@
+const callingHours = require('../utils/callingHours');
+
+// 09:00-20:00, Monday to Friday
+const { window: WEEKDAYS } = callingHours.resolveWindow({ start: '09:00', end: '20:00', days: [1, 2, 3, 4, 5] });
+
+describe('resolveWindow', () => {
+  test('parses an override into minutes after midnight', () => {
+    expect(callingHours.resolveWindow({ start: '08:30', end: '17:00', days: [1, 3] }))
+      .toEqual({ window: { start: 510, end: 1020, days: [1, 3] } });
+  });
+
+  test('rejects a start that is not before the end', () => {
+    expect(callingHours.resolveWindow({ start: '18:00', end: '09:00', days: [1] }).error).toBeDefined();
+  });
+
+  test('rejects malformed times and days', () => {
+    expect(callingHours.resolveWindow({ start: '9am', end: '20:00', days: [1] }).error).toBeDefined();
+    expect(callingHours.resolveWindow({ start: '09:00', end: '20:00', days: [7] }).error).toBeDefined();
+    expect(callingHours.resolveWindow({ start: '09:00', end: '20:00', days: [] }).error).toBeDefined();
+  });
+});
+
+describe('resolveTimezone', () => {
+  test('prefers a valid explicit timezone', () => {
+    expect(callingHours.resolveTimezone('+13105550100', 'Europe/London')).toBe('Europe/London');
+  });
+
+  test('falls back to the area code, then the default', () => {
+    expect(callingHours.resolveTimezone('+13105550100', 'Not/AZone')).toBe('America/Los_Angeles');
+    expect(callingHours.resolveTimezone('+442071234567')).toBe(callingHours.DEFAULT_TIMEZONE);
+  });
+});
+
+describe('getNextAllowedTime', () => {
+  test('allows dialing inside the window', () => {
+    // Monday 10:00 EDT
+    expect(callingHours.getNextAllowedTime('America/New_York', WEEKDAYS, new Date('2024-03-11T14:00:00Z'))).toBeNull();
+  });
+
+  test('waits for the start of today\'s window', () => {
+    // Monday 07:00 EST, the day after DST ended
+    expect(callingHours.getNextAllowedTime('America/New_York', WEEKDAYS, new Date('2024-11-04T12:00:00Z')))
+      .toEqual(new Date('2024-11-04T14:00:00Z'));
+  });
+
+  test('skips the weekend after the window has closed', () => {
+    // Friday 21:00 EST -> Monday 09:00 EDT, across the start of DST
+    expect(callingHours.getNextAllowedTime('America/New_York', WEEKDAYS, new Date('2024-03-09T02:00:00Z')))
+      .toEqual(new Date('2024-03-11T13:00:00Z'));
+  });
+
+  test('uses the offset in effect at the window start on the day DST begins', () => {
+    const { window: sundays } = callingHours.resolveWindow({ start: '09:00', end: '12:00', days: [0] });
+    // Sunday 01:00 EST; clocks go forward at 02:00, so 09:00 is EDT
+    expect(callingHours.getNextAllowedTime('America/New_York', sundays, new Date('2024-03-10T06:00:00Z')))
+      .toEqual(new Date('2024-03-10T13:00:00Z'));
+  });
+
+  test('works in the lead\'s timezone rather than the server\'s', () => {
+    // 19:00 in Los Angeles is inside the window even though it is 22:00 in New York
+    expect(callingHours.getNextAllowedTime('America/Los_Angeles', WEEKDAYS, new Date('2024-06-04T02:00:00Z'))).toBeNull();
+    expect(callingHours.getNextAllowedTime('America/New_York', WEEKDAYS, new Date('2024-06-04T02:00:00Z')))
+      .toEqual(new Date('2024-06-04T13:00:00Z'));
+  });
+});
@@ -0,0 +1,62 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/redisClient', () => ({
+  redisClient: { set: jest.fn(), get: jest.fn(), incr: jest.fn(), expire: jest.fn() }
+}));
+jest.mock('../utils/dbClient', () => ({
+  dbService: {
+    listCampaigns: jest.fn(),
+    getCampaignLeadCounts: jest.fn(),
+    getLeadsByStatus: jest.fn(),
+    updateLead: jest.fn(),
+    updateCampaign: jest.fn()
+  }
+}));
+jest.mock('../utils/outboundQueue', () => ({ outboundCallQueue: { add: jest.fn() } }));
+jest.mock('../utils/webhookDispatcher', () => ({ emitEvent: jest.fn(), buildCallPayload: jest.fn(() => ({})) }));
+
+const { redisClient } = require('../utils/redisClient');
+const { dbService } = require('../utils/dbClient');
+const { outboundCallQueue } = require('../utils/outboundQueue');
+const campaignManager = require('../utils/campaignManager');
+
+const campaign = { id: 'campaign-1', status: 'running', calls_per_minute: 60, max_concurrency: 3 };
+
+function pendingLeads(count) {
+  return Array.from({ length: count }, (_, i) => ({ id: `lead-${i}`, phone_number: `+1310555010${i}`, attempts: 0 }));
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  redisClient.set.mockResolvedValue('OK');
+  redisClient.get.mockResolvedValue(null);
+  dbService.listCampaigns.mockResolvedValue([campaign]);
+  dbService.getLeadsByStatus.mockImplementation(async (campaignId, status, limit) => pendingLeads(limit));
+});
+
+describe('dispatchTick', () => {
+  test('queues pending leads up to the concurrency limit', async () => {
+    dbService.getCampaignLeadCounts.mockResolvedValue({ byStatus: { pending: 10, dialing: 1 }, answered: 0 });
+
+    await campaignManager.dispatchTick();
+
+    expect(dbService.getLeadsByStatus).toHaveBeenCalledWith('campaign-1', 'pending', 2);
+    expect(outboundCallQueue.add).toHaveBeenCalledTimes(2);
+  });
+
+  test('counts leads waiting on a redial against the concurrency limit', async () => {
+    dbService.getCampaignLeadCounts.mockResolvedValue({ byStatus: { pending: 10, dialing: 1, retrying: 2 }, answered: 0 });
+
+    await campaignManager.dispatchTick();
+
+    expect(dbService.getLeadsByStatus).not.toHaveBeenCalled();
+    expect(outboundCallQueue.add).not.toHaveBeenCalled();
+  });
+
+  test('does not complete a campaign while redials are pending', async () => {
+    dbService.getCampaignLeadCounts.mockResolvedValue({ byStatus: { retrying: 1, failed: 4 }, answered: 0 });
+
+    await campaignManager.dispatchTick();
+
+    expect(dbService.updateCampaign).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,57 @@
+const { parseRows, parseCsv } = require('../utils/csvParser');
+
+describe('parseRows', () => {
+  test('splits plain fields and rows', () => {
+    expect(parseRows('a,b,c\n1,2,3')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+  });
+
+  test('keeps commas, escaped quotes and line breaks inside quoted fields', () => {
+    const text = 'name,notes\n"Doe, Jane","Said ""call me later""\nafter lunch"\n';
+    expect(parseRows(text)).toEqual([
+      ['name', 'notes'],
+      ['Doe, Jane', 'Said "call me later"\nafter lunch']
+    ]);
+  });
+
+  test('handles CRLF line endings and a trailing newline', () => {
+    expect(parseRows('phone,name\r\n+13105550100,Jane\r\n+13105550101,John\r\n')).toEqual([
+      ['phone', 'name'],
+      ['+13105550100', 'Jane'],
+      ['+13105550101', 'John']
+    ]);
+  });
+
+  test('keeps empty fields', () => {
+    expect(parseRows('a,,c\n,,')).toEqual([['a', '', 'c'], ['', '', '']]);
+  });
+
+  test('strips a UTF-8 byte order mark', () => {
+    expect(parseRows('\uFEFFphone\n1')[0]).toEqual(['phone']);
+  });
+
+  test('supports another delimiter', () => {
+    expect(parseRows('a;"b;c"', ';')).toEqual([['a', 'b;c']]);
+  });
+});
+
+describe('parseCsv', () => {
+  test('keys values by trimmed header and reports spreadsheet row numbers', () => {
+    const { headers, records } = parseCsv(' phone , name\r\n+13105550100, Jane \r\n\r\n+13105550101,"Doe, John"\r\n');
+
+    expect(headers).toEqual(['phone', 'name']);
+    expect(records).toEqual([
+      { row: 2, values: { phone: '+13105550100', name: 'Jane' } },
+      { row: 4, values: { phone: '+13105550101', name: 'Doe, John' } }
+    ]);
+  });
+
+  test('fills missing trailing columns with empty strings', () => {
+    expect(parseCsv('phone,name,company\n+13105550100').records[0].values)
+      .toEqual({ phone: '+13105550100', name: '', company: '' });
+  });
+
+  test('returns no records for a header-only or empty file', () => {
+    expect(parseCsv('phone,name\n').records).toEqual([]);
+    expect(parseCsv('')).toEqual({ headers: [], records: [] });
+  });
+});
@@ -0,0 +1,67 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/elevenlabsClient', () => ({}));
+jest.mock('../utils/redisClient', () => ({ sessionManager: {}, publishRedisMessage: jest.fn() }));
+jest.mock('../utils/dbClient', () => ({ dbService: {} }));
+jest.mock('../utils/dncRegistry', () => ({}));
+jest.mock('../utils/callTransfer', () => ({}));
+jest.mock('../utils/elevenlabsHandlers', () => ({ TWILIO_AUDIO_CHANNEL_PREFIX: 'twilio-to-elevenlabs:' }));
+
+delete process.env.KEYPAD_RULES;
+
+const logger = require('../utils/logger');
+const { parseRules, matchRule, RULES } = require('../utils/keypadInput');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('parseRules', () => {
+  test('parses <keys>:<action> pairs', () => {
+    expect(parseRules('0:transfer, 9:opt_out ,*:account_number')).toEqual([
+      { keys: '0', action: 'transfer' },
+      { keys: '9', action: 'opt_out' },
+      { keys: '*', action: 'account_number' }
+    ]);
+  });
+
+  test('accepts multi-key sequences', () => {
+    expect(parseRules('*0:transfer')).toEqual([{ keys: '*0', action: 'transfer' }]);
+  });
+
+  test('drops rules with unknown actions or invalid keys, with a warning', () => {
+    expect(parseRules('0:transfer,5:dance,x:opt_out,:transfer,9')).toEqual([{ keys: '0', action: 'transfer' }]);
+    expect(logger.warn).toHaveBeenCalledTimes(4);
+  });
+
+  test('ignores empty entries', () => {
+    expect(parseRules('0:transfer,,')).toEqual([{ keys: '0', action: 'transfer' }]);
+  });
+});
+
+describe('matchRule', () => {
+  test('uses the default rules without KEYPAD_RULES', () => {
+    expect(RULES.map(rule => `${rule.keys}:${rule.action}`)).toEqual(['0:transfer', '9:opt_out', '*:account_number']);
+  });
+
+  test('matches single-key actions exactly', () => {
+    expect(matchRule('0')).toEqual({ rule: { keys: '0', action: 'transfer' }, value: null });
+    expect(matchRule('9')).toEqual({ rule: { keys: '9', action: 'opt_out' }, value: null });
+    expect(matchRule('90')).toBeNull();
+  });
+
+  test('matches a value entry once it is terminated with #', () => {
+    expect(matchRule('*123456')).toBeNull();
+    expect(matchRule('*123456#')).toEqual({ rule: { keys: '*', action: 'account_number' }, value: '123456' });
+  });
+
+  test('rejects empty, non-numeric or overlong values', () => {
+    expect(matchRule('*#')).toBeNull();
+    expect(matchRule('**1#')).toBeNull();
+    expect(matchRule(`*${'1'.repeat(21)}#`)).toBeNull();
+  });
+
+  test('ignores entries that complete no rule', () => {
+    expect(matchRule('5')).toBeNull();
+    expect(matchRule('#')).toBeNull();
+  });
+});
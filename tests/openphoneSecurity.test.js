@@ -0,0 +1,117 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const crypto = require('crypto');
+const openphoneSecurity = require('../utils/openphoneSecurity');
+
+const SECRET = Buffer.from('current-signing-secret').toString('base64');
+const PREVIOUS_SECRET = Buffer.from('previous-signing-secret').toString('base64');
+const BODY = Buffer.from('{"type":"call.ringing","data":{"object":{"id":"AC1"}}}');
+const NOW = 1700000000000;
+
+// What OpenPhone sends: base64 HMAC-SHA256 of "<timestamp>.<body>" keyed with the decoded secret
+function sign(secret, timestamp = NOW, body = BODY) {
+  const signature = crypto.createHmac('sha256', Buffer.from(secret, 'base64'))
+    .update(`${timestamp}.${body}`)
+    .digest('base64');
+  return `hmac;1;${timestamp};${signature}`;
+}
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+function mockRequest(headers, rawBody = BODY) {
+  return { method: 'POST', originalUrl: '/api/inbound/call', rawBody, get: name => headers[name] };
+}
+
+beforeEach(() => {
+  process.env.OPENPHONE_WEBHOOK_SECRET = SECRET;
+  delete process.env.OPENPHONE_WEBHOOK_SECRET_PREVIOUS;
+  process.env.N8N_INTERNAL_SECRET = 'n8n-secret';
+  delete process.env.N8N_INTERNAL_SECRET_PREVIOUS;
+});
+
+describe('parseSignatureHeader', () => {
+  test('splits a well-formed header', () => {
+    expect(openphoneSecurity.parseSignatureHeader('hmac;1;1700000000000;abc='))
+      .toEqual({ timestamp: '1700000000000', signature: 'abc=' });
+  });
+
+  test('rejects other schemes, versions and malformed timestamps', () => {
+    expect(openphoneSecurity.parseSignatureHeader('sha1;1;1700000000000;abc=')).toBeNull();
+    expect(openphoneSecurity.parseSignatureHeader('hmac;2;1700000000000;abc=')).toBeNull();
+    expect(openphoneSecurity.parseSignatureHeader('hmac;1;yesterday;abc=')).toBeNull();
+    expect(openphoneSecurity.parseSignatureHeader(undefined)).toBeNull();
+  });
+});
+
+describe('verifySignature', () => {
+  test('accepts a signature over the exact body', () => {
+    expect(openphoneSecurity.verifySignature(sign(SECRET), BODY, NOW)).toEqual({ valid: true });
+  });
+
+  test('rejects a body that was changed', () => {
+    const tampered = Buffer.from(BODY.toString().replace('AC1', 'AC2'));
+    expect(openphoneSecurity.verifySignature(sign(SECRET), tampered, NOW))
+      .toEqual({ valid: false, reason: 'signature mismatch' });
+  });
+
+  test('rejects a signature made with another secret', () => {
+    expect(openphoneSecurity.verifySignature(sign(PREVIOUS_SECRET), BODY, NOW).valid).toBe(false);
+  });
+
+  test('accepts the previous secret during a rotation', () => {
+    process.env.OPENPHONE_WEBHOOK_SECRET_PREVIOUS = PREVIOUS_SECRET;
+    expect(openphoneSecurity.verifySignature(sign(PREVIOUS_SECRET), BODY, NOW)).toEqual({ valid: true });
+  });
+
+  test('rejects deliveries outside the tolerance window', () => {
+    const sixMinutes = 6 * 60 * 1000;
+    expect(openphoneSecurity.verifySignature(sign(SECRET, NOW - sixMinutes), BODY, NOW))
+      .toEqual({ valid: false, reason: 'timestamp outside tolerance window' });
+    expect(openphoneSecurity.verifySignature(sign(SECRET, NOW + sixMinutes), BODY, NOW).valid).toBe(false);
+  });
+
+  test('rejects everything when no secret is configured', () => {
+    delete process.env.OPENPHONE_WEBHOOK_SECRET;
+    expect(openphoneSecurity.verifySignature(sign(SECRET), BODY, NOW).valid).toBe(false);
+  });
+});
+
+describe('verifyWebhookSignature', () => {
+  test('passes a signed request on', () => {
+    const next = jest.fn();
+    const header = sign(SECRET, Date.now());
+    openphoneSecurity.verifyWebhookSignature(mockRequest({ 'openphone-signature': header }), mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('passes an internal n8n request on without a signature', () => {
+    const next = jest.fn();
+    openphoneSecurity.verifyWebhookSignature(mockRequest({ 'x-n8n-auth': 'n8n-secret' }), mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('answers 401 to unsigned or badly signed requests', () => {
+    const next = jest.fn();
+    const unsigned = mockResponse();
+    openphoneSecurity.verifyWebhookSignature(mockRequest({ 'x-n8n-auth': 'wrong' }), unsigned, next);
+    expect(unsigned.status).toHaveBeenCalledWith(401);
+
+    const badlySigned = mockResponse();
+    openphoneSecurity.verifyWebhookSignature(mockRequest({ 'openphone-signature': sign(PREVIOUS_SECRET, Date.now()) }), badlySigned, next);
+    expect(badlySigned.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('answers 401 when the raw body was not captured', () => {
+    const next = jest.fn();
+    const res = mockResponse();
+    openphoneSecurity.verifyWebhookSignature(mockRequest({ 'openphone-signature': sign(SECRET, Date.now()) }, null), res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,94 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/dbClient', () => ({ dbService: { getCampaign: jest.fn() } }));
+jest.mock('../utils/outboundQueue', () => ({ outboundCallQueue: { add: jest.fn() } }));
+jest.mock('../utils/webhookDispatcher', () => ({ emitEvent: jest.fn(), buildCallPayload: jest.fn(() => ({})) }));
+
+delete process.env.REDIAL_MAX_ATTEMPTS;
+delete process.env.REDIAL_BACKOFF_MINUTES;
+delete process.env.REDIAL_STATUSES;
+
+const { dbService } = require('../utils/dbClient');
+const { outboundCallQueue } = require('../utils/outboundQueue');
+const redialPolicy = require('../utils/redialPolicy');
+
+const MINUTE = 60 * 1000;
+
+const callInfo = {
+  to: '+13105550100',
+  from: '+12125550100',
+  jobId: 'job-1',
+  attempt: 1,
+  n8nWorkflowUrl: 'https://n8n.example.com/hook'
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('getRedialDelay', () => {
+  test('follows the backoff list and repeats its last value', () => {
+    expect(redialPolicy.getRedialDelay(1)).toBe(15 * MINUTE);
+    expect(redialPolicy.getRedialDelay(2)).toBe(60 * MINUTE);
+    expect(redialPolicy.getRedialDelay(5)).toBe(60 * MINUTE);
+  });
+});
+
+describe('shouldRedial', () => {
+  test('redials retryable statuses until the attempt limit', () => {
+    expect(redialPolicy.shouldRedial('busy', 1)).toBe(true);
+    expect(redialPolicy.shouldRedial('no-answer', 2)).toBe(true);
+    expect(redialPolicy.shouldRedial('no-answer', redialPolicy.MAX_ATTEMPTS)).toBe(false);
+  });
+
+  test('never redials a completed call', () => {
+    expect(redialPolicy.shouldRedial('completed', 1)).toBe(false);
+  });
+});
+
+describe('scheduleRedial', () => {
+  test('queues a delayed job with an ID derived from the first attempt', async () => {
+    const result = await redialPolicy.scheduleRedial(callInfo, 'busy', 'call-1');
+
+    expect(result).toMatchObject({ jobId: 'redial-call-1-2', attempt: 2 });
+    expect(outboundCallQueue.add).toHaveBeenCalledWith('initiate-call',
+      expect.objectContaining({ to: callInfo.to, attempt: 2, originalCallId: 'call-1', jobId: 'redial-call-1-2' }),
+      { jobId: 'redial-call-1-2', delay: 15 * MINUTE });
+  });
+
+  test('uses the same job ID for a repeated status callback', async () => {
+    await redialPolicy.scheduleRedial(callInfo, 'busy', 'call-1');
+    await redialPolicy.scheduleRedial(callInfo, 'busy', 'call-1');
+
+    const [first, second] = outboundCallQueue.add.mock.calls;
+    expect(first[2].jobId).toBe(second[2].jobId);
+  });
+
+  test('falls back to the original job ID without a call record', async () => {
+    const result = await redialPolicy.scheduleRedial({ ...callInfo, attempt: 2 }, 'no-answer', null);
+    expect(result.jobId).toBe('redial-job-1-3');
+    expect(outboundCallQueue.add.mock.calls[0][2].delay).toBe(60 * MINUTE);
+  });
+
+  test('does not redial a lead of a stopped campaign', async () => {
+    dbService.getCampaign.mockResolvedValue({ id: 'campaign-1', status: 'stopped' });
+    const result = await redialPolicy.scheduleRedial({ ...callInfo, campaignId: 'campaign-1' }, 'busy', 'call-1');
+
+    expect(result).toBeNull();
+    expect(outboundCallQueue.add).not.toHaveBeenCalled();
+  });
+
+  test('schedules the redial of a paused campaign for the worker to hold', async () => {
+    dbService.getCampaign.mockResolvedValue({ id: 'campaign-1', status: 'paused' });
+    const result = await redialPolicy.scheduleRedial({ ...callInfo, campaignId: 'campaign-1' }, 'busy', 'call-1');
+
+    expect(result).toMatchObject({ jobId: 'redial-call-1-2' });
+    expect(outboundCallQueue.add).toHaveBeenCalledWith('initiate-call',
+      expect.objectContaining({ campaignId: 'campaign-1' }), expect.any(Object));
+  });
+
+  test('does not redial once the attempts are used up', async () => {
+    const result = await redialPolicy.scheduleRedial({ ...callInfo, attempt: 3 }, 'busy', 'call-1');
+    expect(result).toBeNull();
+    expect(outboundCallQueue.add).not.toHaveBeenCalled();
+  });
+});
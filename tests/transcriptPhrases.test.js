@@ -0,0 +1,31 @@
+const { normalizeText, parsePhrases, containsPhrase } = require('../utils/transcriptPhrases');
+
+describe('normalizeText', () => {
+  test('lowercases, drops apostrophes and collapses punctuation', () => {
+    expect(normalizeText("  Don’t CALL me -- again!! ")).toBe('dont call me again');
+  });
+});
+
+describe('parsePhrases', () => {
+  test('normalizes each phrase and drops empty entries', () => {
+    expect(parsePhrases("Stop calling, don't call me again,,")).toEqual(['stop calling', 'dont call me again']);
+  });
+});
+
+describe('containsPhrase', () => {
+  const phrases = parsePhrases('stop calling me,talk to a person');
+
+  test('matches whole words only', () => {
+    expect(containsPhrase('Please stop calling me.', phrases)).toBe(true);
+    expect(containsPhrase('I talked to a personal shopper', phrases)).toBe(false);
+  });
+
+  test('ignores negated occurrences only when asked to', () => {
+    expect(containsPhrase("I don't need to talk to a person", phrases)).toBe(true);
+    expect(containsPhrase("I don't need to talk to a person", phrases, { ignoreNegated: true })).toBe(false);
+  });
+
+  test('only looks a few words back for a negation', () => {
+    expect(containsPhrase("I don't mind waiting, but now I want to talk to a person", phrases, { ignoreNegated: true })).toBe(true);
+  });
+});
@@ -0,0 +1,137 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/redisClient', () => {
+  // SET (with NX), GET and DEL over a Map
+  const store = new Map();
+  const redisClient = {
+    store,
+    set: jest.fn(async (key, value, options = {}) => {
+      if (options.NX && store.has(key)) {
+        return null;
+      }
+      store.set(key, value);
+      return 'OK';
+    }),
+    get: jest.fn(async key => (store.has(key) ? store.get(key) : null)),
+    del: jest.fn(async key => (store.delete(key) ? 1 : 0))
+  };
+  return { redisClient };
+});
+
+const express = require('express');
+const { redisClient } = require('../utils/redisClient');
+const { idempotent, openPhoneCallStateKey, twilioCallStatusKey } = require('../utils/webhookIdempotency');
+
+let server;
+let baseUrl;
+let handler;
+
+// The response is stored once it has been sent
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function post(path, body, headers = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+beforeAll(done => {
+  const app = express();
+  app.use(express.json());
+  app.post('/call', idempotent(openPhoneCallStateKey), (req, res) => handler(req, res));
+  app.post('/status', idempotent(twilioCallStatusKey), (req, res) => handler(req, res));
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  redisClient.store.clear();
+  handler = jest.fn((req, res) => res.status(200).json({ sessionId: 'session-1' }));
+});
+
+describe('key builders', () => {
+  test('prefer the provider event ID', () => {
+    expect(openPhoneCallStateKey({ path: '/call', body: { id: 'EV1', callId: 'AC1', state: 'ringing' } }))
+      .toBe('openphone:event:EV1');
+    expect(twilioCallStatusKey({ baseUrl: '/api', path: '/status', body: { CallSid: 'CA1' }, get: () => 'token-1' }))
+      .toBe('twilio:token:token-1');
+  });
+
+  test('fall back to the call and its state', () => {
+    expect(openPhoneCallStateKey({ path: '/call', body: { callId: 'AC1', state: 'ringing' } }))
+      .toBe('openphone:/call:AC1:ringing');
+    expect(twilioCallStatusKey({ baseUrl: '/api', path: '/status', body: { CallSid: 'CA1', CallStatus: 'ringing' }, get: () => undefined }))
+      .toBe('twilio:/api/status:CA1:ringing');
+  });
+
+  test('skip de-duplication when there is nothing to key on', () => {
+    expect(openPhoneCallStateKey({ path: '/call', body: { callId: 'AC1' } })).toBeNull();
+  });
+});
+
+describe('idempotent', () => {
+  test('replays the original response for a duplicate delivery', async () => {
+    const first = await post('/call', { callId: 'AC1', state: 'ringing' });
+    expect(first.status).toBe(200);
+    await settle();
+
+    const second = await post('/call', { callId: 'AC1', state: 'ringing' });
+    expect(second.status).toBe(200);
+    expect(second.headers.get('idempotent-replayed')).toBe('true');
+    expect(await second.json()).toEqual({ sessionId: 'session-1' });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('processes a different state of the same call', async () => {
+    await post('/call', { callId: 'AC1', state: 'ringing' });
+    await settle();
+    await post('/call', { callId: 'AC1', state: 'completed' });
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('answers 409 while the original is still processing', async () => {
+    let finish;
+    handler = jest.fn((req, res) => { finish = () => res.status(200).json({ ok: true }); });
+
+    const first = post('/status', { CallSid: 'CA1', CallStatus: 'completed' });
+    await new Promise(resolve => {
+      const wait = () => (finish ? resolve() : setTimeout(wait, 5));
+      wait();
+    });
+
+    const duplicate = await post('/status', { CallSid: 'CA1', CallStatus: 'completed' });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.headers.get('retry-after')).toBe('5');
+
+    finish();
+    expect((await first).status).toBe(200);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('lets the retry run again after a 5xx', async () => {
+    handler = jest.fn((req, res) => res.status(500).json({ error: 'Internal Server Error' }));
+    await post('/call', { callId: 'AC2', state: 'ringing' });
+    await settle();
+
+    handler = jest.fn((req, res) => res.status(200).json({ ok: true }));
+    const retry = await post('/call', { callId: 'AC2', state: 'ringing' });
+    expect(retry.status).toBe(200);
+    expect(retry.headers.get('idempotent-replayed')).toBeNull();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('processes the event without de-duplication when Redis is down', async () => {
+    redisClient.set.mockRejectedValueOnce(new Error('connection refused'));
+    const response = await post('/call', { callId: 'AC3', state: 'ringing' });
+    expect(response.status).toBe(200);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
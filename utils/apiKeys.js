@@ -0,0 +1,212 @@
+/**
+ * API Key Authentication
+ *
+ * Management API requests must send an API key (`Authorization: Bearer <key>`
+ * or `X-API-Key: <key>`) whose scopes cover the route:
+ *
+ *   calls:read / calls:write          Outbound calls, jobs, campaigns, DNC, numbers, call records, routing rules
+ *   knowledge:read / knowledge:write  /api/knowledge
+ *   admin                             Everything, including /api/keys
+ *
+ * GET and HEAD requests need the `:read` scope, everything else `:write`
+ * (which also grants read). Keys are stored as SHA-256 hashes; the plain key
+ * is only returned once, when it is created. Twilio and OpenPhone webhooks
+ * and the media stream have their own signature checks and are not covered.
+ * ADMIN_API_KEY, when set, is an admin key that is not stored in the
+ * database, used to create the first keys.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const { dbService } = require('./dbClient');
+
+const SCOPES = ['calls:read', 'calls:write', 'knowledge:read', 'knowledge:write', 'admin'];
+
+const AUTH_ENABLED = process.env.API_AUTH_ENABLED !== 'false';
+const KEY_PREFIX = 'vak_';
+
+// Webhooks and media fetched by Twilio / OpenPhone; they carry their own signatures
+const PUBLIC_PATHS = [
+  /^\/inbound\//,
+  /^\/outbound\/(status|amd)\/[^/]+$/,
+  /^\/outbound\/transfer\/whisper\/[^/]+$/,
+  /^\/outbound\/voicemail\/[^/]+\.mp3$/
+];
+
+/**
+ * Scope family a management route belongs to (paths are relative to /api)
+ * @param {string} path
+ * @returns {string}
+ */
+function getScopeFamily(path) {
+  if (path.startsWith('/keys')) {
+    return 'admin';
+  }
+  if (path.startsWith('/knowledge')) {
+    return 'knowledge';
+  }
+  return 'calls';
+}
+
+/**
+ * Scope required for a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to /api
+ * @returns {string}
+ */
+function getRequiredScope(method, path) {
+  const family = getScopeFamily(path);
+  if (family === 'admin') {
+    return 'admin';
+  }
+  return ['GET', 'HEAD'].includes(method) ? `${family}:read` : `${family}:write`;
+}
+
+/**
+ * Check whether a key's scopes grant a required scope
+ * @param {Array<string>} scopes - The key's scopes
+ * @param {string} required - Required scope
+ * @returns {boolean}
+ */
+function hasScope(scopes, required) {
+  if (scopes.includes('admin') || scopes.includes(required)) {
+    return true;
+  }
+  // Write access includes read access
+  return required.endsWith(':read') && scopes.includes(required.replace(/:read$/, ':write'));
+}
+
+/**
+ * Check a scopes list from a create request
+ * @param {*} scopes
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'scopes must be a non-empty array';
+  }
+  const unknown = scopes.find(scope => !SCOPES.includes(scope));
+  if (unknown) {
+    return `Unknown scope "${unknown}". Valid scopes: ${SCOPES.join(', ')}`;
+  }
+  return null;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Create and store a new API key
+ * @param {Object} options - { name, scopes, expiresAt }
+ * @returns {Promise<Object|null>} - { apiKey, key } where key is the plain key (shown once)
+ */
+async function createKey({ name, scopes, expiresAt = null }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const apiKey = await dbService.createApiKey({
+    name,
+    scopes,
+    key_prefix: key.substring(0, KEY_PREFIX.length + 6),
+    key_hash: hashKey(key),
+    expires_at: expiresAt
+  });
+  return apiKey ? { apiKey, key } : null;
+}
+
+function extractKey(req) {
+  const authorization = req.get('Authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.substring('Bearer '.length).trim();
+  }
+  return req.get('X-API-Key') || null;
+}
+
+function isBootstrapKey(key) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return false;
+  }
+  const expected = Buffer.from(hashKey(adminKey));
+  const received = Buffer.from(hashKey(key));
+  return crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Resolve a presented key to { id, name, scopes }
+ * @param {string} key
+ * @returns {Promise<Object|null>} - null if the key is unknown, revoked or expired
+ */
+async function resolveKey(key) {
+  if (isBootstrapKey(key)) {
+    return { id: null, name: 'ADMIN_API_KEY', scopes: ['admin'] };
+  }
+  const apiKey = await dbService.getApiKeyByHash(hashKey(key));
+  if (!apiKey || apiKey.revoked_at || (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date())) {
+    return null;
+  }
+  return { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes || [] };
+}
+
+/**
+ * Record an authenticated request once the response is sent
+ */
+function auditUsage(req, res, principal, scope) {
+  res.on('finish', () => {
+    logger.info(`[API Key] ${principal.name} (${principal.id || 'env'}) ${req.method} ${req.originalUrl} -> ${res.statusCode} [${scope}]`);
+    dbService.logApiKeyUsage({
+      api_key_id: principal.id,
+      key_name: principal.name,
+      method: req.method,
+      path: req.originalUrl.substring(0, 255),
+      scope,
+      status_code: res.statusCode,
+      ip_address: req.ip
+    });
+    if (principal.id) {
+      dbService.updateApiKey(principal.id, { last_used_at: new Date() });
+    }
+  });
+}
+
+/**
+ * Express middleware for /api: require a key with the route's scope
+ */
+async function apiKeyAuth(req, res, next) {
+  if (!AUTH_ENABLED || PUBLIC_PATHS.some(pattern => pattern.test(req.path))) {
+    return next();
+  }
+
+  const requiredScope = getRequiredScope(req.method, req.path);
+  const key = extractKey(req);
+  if (!key) {
+    return res.status(401).json({ error: 'API key required' });
+  }
+
+  try {
+    const principal = await resolveKey(key);
+    if (!principal) {
+      logger.warn(`[API Key] Rejected unknown, revoked or expired key on ${req.method} ${req.originalUrl} from ${req.ip}`);
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    if (!hasScope(principal.scopes, requiredScope)) {
+      logger.warn(`[API Key] ${principal.name} lacks ${requiredScope} for ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ error: `API key lacks the ${requiredScope} scope` });
+    }
+
+    req.apiKey = principal;
+    auditUsage(req, res, principal, requiredScope);
+    next();
+  } catch (error) {
+    logger.error('[API Key] Error authenticating request:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+}
+
+module.exports = {
+  SCOPES,
+  getRequiredScope,
+  hasScope,
+  validateScopes,
+  createKey,
+  apiKeyAuth
+};
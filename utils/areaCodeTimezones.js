@@ -0,0 +1,51 @@
+/**
+ * NANP area code -> IANA timezone lookup.
+ *
+ * Used as a fallback when a lead has no explicit timezone. Area codes that
+ * span two zones are assigned to the zone covering most of their population.
+ */
+
+const ZONES = {
+  'America/New_York': [
+    201, 202, 203, 207, 212, 215, 216, 220, 223, 226, 231, 234, 239, 240, 248, 249, 252, 260, 267, 269,
+    272, 276, 289, 301, 302, 304, 305, 313, 315, 317, 321, 326, 330, 332, 336, 339, 343, 347, 351, 352,
+    365, 367, 380, 386, 401, 404, 407, 410, 412, 413, 416, 418, 419, 423, 434, 437, 438, 440, 443, 445,
+    450, 463, 470, 475, 478, 484, 502, 508, 513, 514, 516, 517, 518, 519, 540, 548, 551, 561, 567, 570,
+    571, 574, 579, 581, 585, 586, 603, 606, 607, 609, 610, 613, 614, 616, 617, 631, 640, 646, 647, 667,
+    678, 680, 681, 703, 704, 705, 706, 716, 717, 718, 724, 727, 732, 734, 740, 743, 754, 757, 762, 765,
+    770, 772, 774, 781, 786, 802, 803, 804, 807, 810, 812, 813, 814, 819, 828, 838, 839, 843, 845, 848,
+    854, 856, 857, 859, 860, 862, 863, 864, 865, 873, 878, 904, 905, 906, 908, 910, 912, 914, 917, 919,
+    929, 930, 934, 937, 941, 947, 954, 959, 973, 978, 980, 984, 989
+  ],
+  'America/Chicago': [
+    204, 205, 210, 214, 217, 218, 219, 224, 225, 228, 251, 254, 256, 262, 270, 281, 308, 309, 312, 314,
+    316, 318, 319, 320, 325, 331, 334, 337, 346, 361, 364, 402, 405, 409, 414, 417, 430, 431, 432, 469,
+    479, 501, 504, 507, 512, 515, 531, 534, 539, 563, 573, 580, 601, 605, 608, 612, 615, 618, 620, 629,
+    630, 636, 641, 651, 660, 662, 682, 701, 708, 712, 713, 715, 726, 731, 737, 763, 769, 773, 779, 785,
+    806, 815, 816, 817, 830, 832, 847, 850, 870, 872, 901, 903, 913, 918, 920, 931, 936, 938, 940, 952,
+    956, 972, 979, 985
+  ],
+  'America/Regina': [306, 639],
+  'America/Denver': [208, 303, 307, 385, 406, 435, 505, 575, 719, 720, 801, 915, 970, 986],
+  'America/Edmonton': [403, 587, 780, 825],
+  'America/Phoenix': [480, 520, 602, 623, 928],
+  'America/Los_Angeles': [
+    206, 209, 213, 253, 279, 310, 323, 341, 360, 408, 415, 424, 425, 442, 458, 503, 509, 510, 530, 541,
+    559, 562, 564, 619, 626, 628, 650, 657, 661, 669, 702, 707, 714, 725, 747, 760, 775, 805, 818, 820,
+    831, 858, 909, 916, 925, 949, 951, 971
+  ],
+  'America/Vancouver': [236, 250, 604, 672, 778],
+  'America/Anchorage': [907],
+  'Pacific/Honolulu': [808],
+  'America/Puerto_Rico': [787, 939],
+  'America/Halifax': [782, 902],
+  'America/Moncton': [506],
+  'America/St_Johns': [709]
+};
+
+const AREA_CODE_TIMEZONES = {};
+Object.entries(ZONES).forEach(([timezone, areaCodes]) => {
+  areaCodes.forEach(areaCode => { AREA_CODE_TIMEZONES[String(areaCode)] = timezone; });
+});
+
+module.exports = AREA_CODE_TIMEZONES;
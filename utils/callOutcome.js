@@ -0,0 +1,198 @@
+/**
+ * Post-Call Outcome Classification
+ *
+ * After an outbound call completes, its transcript is analyzed to assign a
+ * disposition (interested, not interested, callback requested, wrong number,
+ * opt-out) with a confidence score and extracted fields such as a requested
+ * callback time and the lead's email. The result is stored in the Call's
+ * `call_data.outcome`.
+ *
+ * Classification goes through a classifier object with a single
+ * `classify(transcript, context)` method. The default uses OpenAI; tests and
+ * local development can swap in a stub with setClassifier.
+ */
+
+const { OpenAI } = require('openai');
+const logger = require('./logger');
+const { dbService } = require('./dbClient');
+const { sessionManager } = require('./redisClient');
+const dncRegistry = require('./dncRegistry');
+
+const DISPOSITIONS = ['interested', 'not_interested', 'callback_requested', 'wrong_number', 'opt_out'];
+
+const ANALYSIS_ENABLED = process.env.OUTCOME_ANALYSIS_ENABLED !== 'false';
+const OUTCOME_MODEL = process.env.OUTCOME_MODEL || 'gpt-4o-mini';
+
+const SYSTEM_PROMPT = 'You review transcripts of outbound sales calls placed by an AI agent. ' +
+  'Classify the outcome for the lead and extract follow-up details. Respond with a JSON object: ' +
+  `{"disposition": one of ${DISPOSITIONS.map(d => `"${d}"`).join(', ')}, ` +
+  '"confidence": number between 0 and 1, ' +
+  '"callbackTime": requested callback time as an ISO 8601 timestamp if the date is clear, otherwise the lead\'s words, or null, ' +
+  '"email": email address the lead gave, or null, ' +
+  '"summary": one sentence describing the call}.';
+
+/**
+ * Create the default OpenAI-backed classifier
+ * @param {Object} [options] - { apiKey, model }
+ * @returns {{ name: string, classify: Function }}
+ */
+function createOpenAIClassifier({ apiKey = process.env.OPENAI_API_KEY, model = OUTCOME_MODEL } = {}) {
+  const openai = new OpenAI({ apiKey });
+  return {
+    name: `openai:${model}`,
+    async classify(transcript, context = {}) {
+      const conversation = transcript
+        .map(line => `${line.role === 'agent' ? 'Agent' : 'Lead'}: ${line.text}`)
+        .join('\n');
+      const completion = await openai.chat.completions.create({
+        model,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          {
+            role: 'user',
+            content: `Call date: ${context.callDate || 'unknown'}\nLead timezone: ${context.timezone || 'unknown'}\n\nTranscript:\n${conversation}`
+          }
+        ]
+      });
+      return JSON.parse(completion.choices[0].message.content);
+    }
+  };
+}
+
+let classifier = null;
+
+/**
+ * Replace the classifier (e.g. with a stub in tests)
+ * @param {Object|null} impl - { name, classify(transcript, context) }; null restores the default
+ */
+function setClassifier(impl) {
+  classifier = impl;
+}
+
+function getClassifier() {
+  if (!classifier) {
+    classifier = createOpenAIClassifier();
+  }
+  return classifier;
+}
+
+/**
+ * Validate and clean up a classifier result
+ * @param {Object} raw - Classifier output
+ * @returns {Object} - { disposition, confidence, fields }
+ */
+function normalizeResult(raw = {}) {
+  const disposition = DISPOSITIONS.includes(raw.disposition) ? raw.disposition : null;
+  const confidence = Number(raw.confidence);
+  const email = typeof raw.email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(raw.email.trim())
+    ? raw.email.trim().toLowerCase()
+    : null;
+  return {
+    disposition,
+    confidence: disposition && !isNaN(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0,
+    fields: {
+      callbackTime: raw.callbackTime ? String(raw.callbackTime) : null,
+      email,
+      summary: raw.summary ? String(raw.summary) : null
+    }
+  };
+}
+
+/**
+ * Load a call's transcript, saving the Redis copy as Message rows the first time
+ * @param {Object} call - Call record
+ * @returns {Promise<Array<Object>>} - [{ role, text }]
+ */
+async function loadTranscript(call) {
+  const withMessages = await dbService.getCallWithMessages(call.id);
+  if (withMessages && withMessages.messages && withMessages.messages.length > 0) {
+    return withMessages.messages
+      .slice()
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .map(message => ({ role: message.role, text: message.text }));
+  }
+
+  // The live transcript only stays in Redis for a day
+  const transcript = await sessionManager.getOutboundMessages(call.session_id);
+  if (transcript.length > 0) {
+    await dbService.saveMessages(transcript.map(line => ({
+      call_id: call.id,
+      role: line.role,
+      text: line.text,
+      timestamp: line.timestamp
+    })));
+  }
+  return transcript;
+}
+
+/**
+ * Classify a finished call and store the outcome in call_data
+ * @param {string} callId - Call record ID
+ * @returns {Promise<Object|null>} - The stored outcome, or null if the call could not be analyzed
+ */
+async function analyzeCall(callId) {
+  const call = await dbService.getCall(callId);
+  if (!call) {
+    return null;
+  }
+  const logPrefix = `[${call.session_id}/${call.call_id}]`;
+
+  const transcript = await loadTranscript(call);
+  if (transcript.filter(line => line.role === 'user').length === 0) {
+    logger.info(`${logPrefix} No lead speech in transcript. Skipping outcome analysis.`);
+    return null;
+  }
+
+  // A classifier that cannot be built (e.g. no OPENAI_API_KEY) leaves the call unclassified
+  let activeClassifier;
+  let result;
+  try {
+    activeClassifier = getClassifier();
+    result = normalizeResult(await activeClassifier.classify(transcript, {
+      callDate: call.start_time ? new Date(call.start_time).toISOString() : null,
+      timezone: (call.call_data || {}).timezone
+    }));
+  } catch (error) {
+    logger.error(`${logPrefix} Outcome classification failed:`, error.message);
+    return null;
+  }
+  if (!result.disposition) {
+    logger.warn(`${logPrefix} Classifier returned no valid disposition.`);
+    return null;
+  }
+
+  const outcome = {
+    ...result,
+    classifier: activeClassifier.name || 'custom',
+    analyzedAt: new Date().toISOString()
+  };
+
+  // Dispositions set during the call (voicemail_left, transferred, opt_out) take precedence
+  const callDataPatch = { outcome };
+  const callData = call.call_data || {};
+  const setByClassifier = callData.outcome && callData.disposition === callData.outcome.disposition;
+  if (!callData.disposition || setByClassifier) {
+    callDataPatch.disposition = outcome.disposition;
+  }
+  await dbService.mergeCallData(call.id, callDataPatch);
+
+  // An opt-out is honoured even when a disposition from the call (e.g. transferred) is kept
+  if (dncRegistry.OPT_OUT_DISPOSITIONS.includes(outcome.disposition) &&
+      await dncRegistry.applyDisposition(outcome.disposition, call.to_number, call.call_id)) {
+    logger.info(`${logPrefix} Added ${call.to_number} to the DNC list after classified ${outcome.disposition} outcome.`);
+  }
+
+  logger.info(`${logPrefix} Call classified as ${outcome.disposition} (confidence ${outcome.confidence.toFixed(2)}).`);
+  return outcome;
+}
+
+module.exports = {
+  DISPOSITIONS,
+  ANALYSIS_ENABLED,
+  createOpenAIClassifier,
+  setClassifier,
+  normalizeResult,
+  analyzeCall
+};
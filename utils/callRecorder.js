@@ -0,0 +1,219 @@
+/**
+ * Dual-Channel Call Recording
+ *
+ * Captures the two audio tracks of a Twilio media stream - the caller
+ * (inbound `media` events) and the agent (ElevenLabs audio relayed to
+ * Twilio) - and, when the call ends, mixes them into a stereo WAV with the
+ * caller on the left channel and the agent on the right. Recording is opt-in
+ * per call (`record: true` on /start) and the caller hears a consent
+ * announcement first.
+ */
+
+const logger = require('./logger');
+const { dbService } = require('./dbClient');
+const recordingStorage = require('./recordingStorage');
+
+const CONSENT_MESSAGE = process.env.RECORDING_CONSENT_MESSAGE ||
+  'This call may be recorded for quality and training purposes.';
+
+// Twilio media streams are 8 kHz, 8-bit mu-law, mono
+const SAMPLE_RATE = 8000;
+// Stop capturing after this many seconds to bound memory use
+const MAX_SECONDS = parseInt(process.env.RECORDING_MAX_SECONDS, 10) || 3600;
+
+const recordings = new Map(); // sessionId -> { callSid, startedAt, caller: [], agent: [], agentCursor }
+
+/**
+ * Decode one mu-law byte to a 16-bit linear PCM sample (ITU-T G.711)
+ * @param {number} value - mu-law byte
+ * @returns {number}
+ */
+function muLawToLinear(value) {
+  const byte = ~value & 0xff;
+  const sign = byte & 0x80;
+  const exponent = (byte >> 4) & 0x07;
+  const mantissa = byte & 0x0f;
+  const magnitude = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+  return sign ? -magnitude : magnitude;
+}
+
+/**
+ * Escape text for use inside TwiML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * TwiML played before the stream connects on recorded calls
+ * @returns {string}
+ */
+function getConsentTwiml() {
+  return `<Say>${escapeXml(CONSENT_MESSAGE)}</Say>`;
+}
+
+/**
+ * Start capturing a session's audio (call once the Twilio stream starts)
+ * @param {string} sessionId - The outbound session ID
+ * @param {string} callSid - Twilio Call SID
+ */
+function startRecording(sessionId, callSid) {
+  if (recordings.has(sessionId)) {
+    return;
+  }
+  recordings.set(sessionId, {
+    callSid,
+    startedAt: Date.now(),
+    caller: [],
+    agent: [],
+    agentCursor: 0
+  });
+  logger.info(`[${sessionId}] Recording started for call ${callSid}`);
+}
+
+function isRecording(sessionId) {
+  return recordings.has(sessionId);
+}
+
+function withinLimit(offset) {
+  return offset < MAX_SECONDS * SAMPLE_RATE;
+}
+
+/**
+ * Capture a chunk of caller audio
+ * @param {string} sessionId - The outbound session ID
+ * @param {string} payloadBase64 - mu-law audio from a Twilio `media` event
+ * @param {string|number} [timestamp] - Twilio media timestamp (ms since stream start)
+ */
+function addCallerAudio(sessionId, payloadBase64, timestamp) {
+  const recording = recordings.get(sessionId);
+  if (!recording || !payloadBase64) {
+    return;
+  }
+  const elapsedMs = timestamp !== undefined ? Number(timestamp) : Date.now() - recording.startedAt;
+  const offset = Math.round(elapsedMs * SAMPLE_RATE / 1000);
+  if (withinLimit(offset)) {
+    recording.caller.push({ offset, audio: Buffer.from(payloadBase64, 'base64') });
+  }
+}
+
+/**
+ * Capture a chunk of agent audio sent to Twilio
+ * Chunks arrive faster than real time and Twilio plays them back to back, so
+ * each one is placed after the previous chunk, or at the current time if the
+ * agent was silent.
+ * @param {string} sessionId - The outbound session ID
+ * @param {string} payloadBase64 - mu-law audio sent in a `media` message
+ */
+function addAgentAudio(sessionId, payloadBase64) {
+  const recording = recordings.get(sessionId);
+  if (!recording || !payloadBase64) {
+    return;
+  }
+  const audio = Buffer.from(payloadBase64, 'base64');
+  const now = Math.round((Date.now() - recording.startedAt) * SAMPLE_RATE / 1000);
+  const offset = Math.max(recording.agentCursor, now);
+  if (withinLimit(offset)) {
+    recording.agent.push({ offset, audio });
+    recording.agentCursor = offset + audio.length;
+  }
+}
+
+/**
+ * Mix the captured tracks into a 16-bit stereo WAV (left: caller, right: agent)
+ * @param {Object} recording - Captured tracks
+ * @returns {{ wav: Buffer, durationSeconds: number }}
+ */
+function buildStereoWav(recording) {
+  const trackEnd = chunks => chunks.reduce((end, chunk) => Math.max(end, chunk.offset + chunk.audio.length), 0);
+  const totalSamples = Math.min(
+    Math.max(trackEnd(recording.caller), trackEnd(recording.agent)),
+    MAX_SECONDS * SAMPLE_RATE
+  );
+
+  const dataSize = totalSamples * 4; // 2 channels x 16 bits
+  const wav = Buffer.alloc(44 + dataSize);
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + dataSize, 4);
+  wav.write('WAVE', 8);
+  wav.write('fmt ', 12);
+  wav.writeUInt32LE(16, 16); // fmt chunk size
+  wav.writeUInt16LE(1, 20); // PCM
+  wav.writeUInt16LE(2, 22); // Channels
+  wav.writeUInt32LE(SAMPLE_RATE, 24);
+  wav.writeUInt32LE(SAMPLE_RATE * 4, 28); // Byte rate
+  wav.writeUInt16LE(4, 32); // Block align
+  wav.writeUInt16LE(16, 34); // Bits per sample
+  wav.write('data', 36);
+  wav.writeUInt32LE(dataSize, 40);
+
+  // The buffer is zero-filled, so gaps in either track stay silent
+  const writeTrack = (chunks, channel) => {
+    chunks.forEach(({ offset, audio }) => {
+      for (let i = 0; i < audio.length && offset + i < totalSamples; i++) {
+        wav.writeInt16LE(muLawToLinear(audio[i]), 44 + (offset + i) * 4 + channel * 2);
+      }
+    });
+  };
+  writeTrack(recording.caller, 0);
+  writeTrack(recording.agent, 1);
+
+  return { wav, durationSeconds: Math.round(totalSamples / SAMPLE_RATE) };
+}
+
+/**
+ * Stop capturing, store the stereo WAV and link it from the Call record
+ * @param {string} sessionId - The outbound session ID
+ * @returns {Promise<Object|null>} - { storage, location, durationSeconds } or null if nothing was stored
+ */
+async function finishRecording(sessionId) {
+  const recording = recordings.get(sessionId);
+  if (!recording) {
+    return null;
+  }
+  recordings.delete(sessionId);
+  const logPrefix = `[${sessionId}/${recording.callSid}]`;
+
+  if (recording.caller.length === 0 && recording.agent.length === 0) {
+    logger.warn(`${logPrefix} Recording finished without any audio. Nothing stored.`);
+    return null;
+  }
+
+  try {
+    const { wav, durationSeconds } = buildStereoWav(recording);
+    const datePath = new Date(recording.startedAt).toISOString().substring(0, 10).replace(/-/g, '/');
+    const { storage, location } = await recordingStorage.saveRecording(`${datePath}/${recording.callSid}.wav`, wav);
+
+    const callRecord = await dbService.getCallByExternalId(recording.callSid);
+    if (callRecord) {
+      await dbService.updateCall(callRecord.id, {
+        recording_storage: storage,
+        recording_location: location,
+        recording_duration: durationSeconds
+      });
+    } else {
+      logger.warn(`${logPrefix} No Call record found to link the recording to (${storage}:${location}).`);
+    }
+
+    logger.info(`${logPrefix} Recording stored (${durationSeconds}s) at ${storage}:${location}`);
+    return { storage, location, durationSeconds };
+  } catch (error) {
+    logger.error(`${logPrefix} Error storing recording:`, error);
+    return null;
+  }
+}
+
+module.exports = {
+  getConsentTwiml,
+  startRecording,
+  isRecording,
+  addCallerAudio,
+  addAgentAudio,
+  finishRecording
+};
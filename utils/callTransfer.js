@@ -0,0 +1,226 @@
+/**
+ * Warm Transfer
+ *
+ * Hands a live outbound call from the AI agent to a human rep. The Twilio call
+ * is updated with TwiML that dials the rep's number (or places the caller in a
+ * queue), the rep hears a short AI-written summary as a whisper before being
+ * connected, and the ElevenLabs session is ended.
+ *
+ * Transfers can be triggered by an agent client tool call, a keyword in the
+ * caller's speech, or the API.
+ */
+
+const twilio = require('twilio');
+const { OpenAI } = require('openai');
+const logger = require('./logger');
+const elevenlabs = require('./elevenlabsClient');
+const { redisClient, sessionManager } = require('./redisClient');
+const { normalizePhoneNumber } = require('./phoneNumbers');
+const { parsePhrases, containsPhrase } = require('./transcriptPhrases');
+
+const twilioClient = twilio(
+  process.env.TWILIO_ACCOUNT_SID,
+  process.env.TWILIO_AUTH_TOKEN
+);
+
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY
+});
+
+// Default target: an E.164 number, or "queue:<name>" for a Twilio queue
+const DEFAULT_TARGET = process.env.TRANSFER_TARGET || null;
+// Other targets that API / tool-call requests may choose
+const ALLOWED_TARGETS = (process.env.TRANSFER_ALLOWED_TARGETS || '')
+  .split(',')
+  .map(target => target.trim())
+  .filter(Boolean);
+
+// Name of the ElevenLabs client tool that requests a transfer
+const TRANSFER_TOOL_NAME = process.env.TRANSFER_TOOL_NAME || 'transfer_to_human';
+
+// Caller phrases that trigger a transfer, matched as whole words. They are
+// requests rather than bare nouns ("real person", "representative" also occur
+// in "you don't sound like a real person"), and negated requests do not count.
+const TRANSFER_KEYWORDS = parsePhrases(process.env.TRANSFER_KEYWORDS ||
+  'speak to a human,talk to a human,speak with a human,talk with a human,' +
+  'speak to a person,talk to a person,speak to a real person,talk to a real person,' +
+  'speak to a representative,talk to a representative,transfer me to a human,connect me to a human');
+
+const HOLD_MESSAGE = process.env.TRANSFER_HOLD_MESSAGE || 'One moment please, I am connecting you with a member of our team.';
+const SUMMARY_MODEL = process.env.TRANSFER_SUMMARY_MODEL || 'gpt-4o-mini';
+const TRANSFER_LOCK_PREFIX = 'transfer_lock:';
+
+/**
+ * Detect a transfer request in a caller transcript
+ * @param {string} text - Transcript text
+ * @returns {boolean}
+ */
+function isTransferRequest(text) {
+  if (!text) {
+    return false;
+  }
+  return containsPhrase(text, TRANSFER_KEYWORDS, { ignoreNegated: true });
+}
+
+/**
+ * Resolve and validate a transfer target
+ * @param {string} [requested] - Requested number or "queue:<name>"
+ * @returns {{ target?: Object, error?: string }} - target is { type: 'number'|'queue', value }
+ */
+function resolveTarget(requested) {
+  const raw = requested || DEFAULT_TARGET;
+  if (!raw) {
+    return { error: 'No transfer target configured' };
+  }
+  if (requested && requested !== DEFAULT_TARGET && !ALLOWED_TARGETS.includes(requested)) {
+    return { error: `Transfer target "${requested}" is not allowed` };
+  }
+  if (raw.startsWith('queue:')) {
+    return { target: { type: 'queue', value: raw.substring('queue:'.length) } };
+  }
+  const number = normalizePhoneNumber(raw);
+  if (!number) {
+    return { error: `Invalid transfer target "${raw}"` };
+  }
+  return { target: { type: 'number', value: number } };
+}
+
+/**
+ * Write a short summary of the conversation for the rep
+ * @param {Object} callInfo - The outbound session from Redis
+ * @param {Array<Object>} transcript - [{ role, text }]
+ * @param {string} [reason] - Why the transfer was requested
+ * @returns {Promise<string>}
+ */
+async function summarizeForRep(callInfo, transcript, reason) {
+  const name = (callInfo.variables && callInfo.variables.name) || callInfo.leadName || 'the caller';
+  const fallback = `Incoming transfer from the AI assistant: ${name}${reason ? `. Reason: ${reason}` : ''}.`;
+  if (transcript.length === 0) {
+    return fallback;
+  }
+
+  try {
+    const conversation = transcript
+      .map(line => `${line.role === 'agent' ? 'Agent' : 'Lead'}: ${line.text}`)
+      .join('\n');
+    const completion = await openai.chat.completions.create({
+      model: SUMMARY_MODEL,
+      max_tokens: 120,
+      messages: [
+        {
+          role: 'system',
+          content: 'You brief a sales rep who is about to take over a phone call from an AI agent. ' +
+            'In at most three short spoken sentences, say who the lead is, what they want, and anything the rep must know. ' +
+            'Plain text only, no lists.'
+        },
+        {
+          role: 'user',
+          content: `Lead name: ${name}\nTransfer reason: ${reason || 'not given'}\n\nConversation so far:\n${conversation}`
+        }
+      ]
+    });
+    return completion.choices[0].message.content.trim() || fallback;
+  } catch (error) {
+    logger.error(`[${callInfo.callSid}] Error summarizing call for transfer:`, error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Build the TwiML that replaces the <Connect><Stream> leg
+ * @param {string} sessionId - The outbound session ID
+ * @param {Object} target - Output of resolveTarget
+ * @param {Object} callInfo - The outbound session from Redis
+ * @returns {string}
+ */
+function buildTransferTwiml(sessionId, target, callInfo) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.say(HOLD_MESSAGE);
+
+  if (target.type === 'queue') {
+    twiml.enqueue(target.value);
+  } else {
+    // The rep hears the whisper (summary) from this URL before being bridged
+    const httpBase = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+    const dial = twiml.dial({ callerId: callInfo.from || process.env.TWILIO_PHONE_NUMBER });
+    dial.number({ url: `${httpBase}/api/outbound/transfer/whisper/${sessionId}` }, target.value);
+  }
+  return twiml.toString();
+}
+
+/**
+ * Transfer a live outbound call to a human rep
+ * @param {string} sessionId - The outbound session ID
+ * @param {Object} [options] - { target, reason, trigger: 'tool'|'keyword'|'api' }
+ * @returns {Promise<Object>} - { transfer } on success, otherwise { error, status }
+ */
+async function transferCall(sessionId, { target: requestedTarget, reason = null, trigger = 'api' } = {}) {
+  const logPrefix = `[${sessionId}]`;
+
+  const callInfo = await sessionManager.getOutboundSession(sessionId);
+  if (!callInfo) {
+    return { error: 'Session not found', status: 404 };
+  }
+  if (!callInfo.callSid || ['completed', 'failed', 'canceled', 'busy', 'no-answer'].includes(callInfo.status)) {
+    return { error: 'Call is not live', status: 409 };
+  }
+
+  const { target, error } = resolveTarget(requestedTarget);
+  if (error) {
+    return { error, status: 400 };
+  }
+
+  // Only one transfer per call, whichever trigger fires first
+  const locked = await redisClient.set(`${TRANSFER_LOCK_PREFIX}${sessionId}`, String(process.pid), { NX: true, EX: 3600 });
+  if (!locked) {
+    return { error: 'Transfer already in progress', status: 409 };
+  }
+
+  const transcript = await sessionManager.getOutboundMessages(sessionId);
+  const summary = await summarizeForRep(callInfo, transcript, reason);
+  const transfer = {
+    target: target.type === 'queue' ? `queue:${target.value}` : target.value,
+    trigger,
+    reason,
+    summary,
+    requestedAt: new Date().toISOString()
+  };
+
+  // Store the summary before redirecting: the whisper URL reads it from the session
+  await sessionManager.saveOutboundSession(sessionId, { ...callInfo, transfer, disposition: 'transferred' }, 24 * 3600);
+
+  try {
+    await twilioClient.calls(callInfo.callSid).update({ twiml: buildTransferTwiml(sessionId, target, callInfo) });
+  } catch (updateError) {
+    logger.error(`${logPrefix} Failed to redirect call for transfer:`, updateError);
+    await sessionManager.saveOutboundSession(sessionId, callInfo, 24 * 3600);
+    await redisClient.del(`${TRANSFER_LOCK_PREFIX}${sessionId}`);
+    return { error: 'Failed to update the live call', status: 502 };
+  }
+
+  // The stream leg is gone; close the agent conversation
+  await elevenlabs.endConversation(sessionId);
+
+  logger.info(`${logPrefix} Call transferred to ${transfer.target} (trigger: ${trigger})`);
+  return { transfer };
+}
+
+/**
+ * Whisper TwiML played to the rep before the call is bridged
+ * @param {string} sessionId - The outbound session ID
+ * @returns {Promise<string>}
+ */
+async function buildWhisperTwiml(sessionId) {
+  const callInfo = await sessionManager.getOutboundSession(sessionId);
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.say(callInfo && callInfo.transfer ? callInfo.transfer.summary : 'Incoming transfer from the AI assistant.');
+  return twiml.toString();
+}
+
+module.exports = {
+  TRANSFER_TOOL_NAME,
+  isTransferRequest,
+  resolveTarget,
+  transferCall,
+  buildWhisperTwiml
+};
@@ -0,0 +1,159 @@
+/**
+ * Returning-Caller Context
+ *
+ * Looks a phone number up against earlier Call and Message records and
+ * campaign lead data when a call begins, and turns what we know into
+ * ElevenLabs dynamic variables, so the agent can greet a returning customer
+ * by name and pick up where the last conversation left off:
+ *
+ *   caller_known       true if we have spoken to the number before
+ *   caller_name        Lead name, or the name used on an earlier call
+ *   previous_calls     Number of earlier calls
+ *   last_call_date     YYYY-MM-DD of the most recent call
+ *   last_disposition   Its disposition (interested, callback_requested, transferred, ...)
+ *   last_call_summary  Classifier or transfer summary, else the caller's first words
+ *   open_issues        Follow-ups still pending (requested callbacks, escalations)
+ *   caller_context     All of the above as one compact block for the agent prompt
+ *
+ * Use them in the agent's prompt or first message as {{caller_context}} etc.
+ */
+
+const logger = require('./logger');
+const { dbService } = require('./dbClient');
+const { normalizePhoneNumber } = require('./phoneNumbers');
+
+const CONTEXT_ENABLED = process.env.CALLER_CONTEXT_ENABLED !== 'false';
+const HISTORY_LIMIT = parseInt(process.env.CALLER_CONTEXT_HISTORY_LIMIT, 10) || 5;
+const MAX_SUMMARY_LENGTH = 300;
+
+// Dispositions that leave something for us to follow up on
+const OPEN_DISPOSITIONS = ['callback_requested', 'transferred'];
+
+function truncate(text, length = MAX_SUMMARY_LENGTH) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > length ? `${value.substring(0, length - 3)}...` : value;
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().substring(0, 10) : '';
+}
+
+/**
+ * Best available one-line summary of a call
+ * @param {Object} call - Call record with messages
+ * @returns {string}
+ */
+function summarizeCall(call) {
+  const callData = call.call_data || {};
+  const summary = (callData.outcome && callData.outcome.fields && callData.outcome.fields.summary) ||
+    (callData.transfer && callData.transfer.summary);
+  if (summary) {
+    return truncate(summary);
+  }
+  const firstUserMessage = (call.messages || []).find(message => message.role === 'user');
+  return firstUserMessage ? truncate(`Caller said: "${firstUserMessage.text}"`) : '';
+}
+
+/**
+ * Follow-ups from earlier calls that have not been superseded by a later call
+ * @param {Array<Object>} calls - Newest first
+ * @returns {Array<string>}
+ */
+function findOpenIssues(calls) {
+  const issues = [];
+  for (const call of calls) {
+    const callData = call.call_data || {};
+    if (!OPEN_DISPOSITIONS.includes(callData.disposition)) {
+      // A later call with a different outcome closes out older follow-ups
+      break;
+    }
+    const date = formatDate(call.start_time);
+    if (callData.disposition === 'callback_requested') {
+      const callbackTime = callData.outcome && callData.outcome.fields && callData.outcome.fields.callbackTime;
+      issues.push(`Callback requested on ${date}${callbackTime ? ` for ${callbackTime}` : ''}`);
+    } else {
+      issues.push(`Escalated to a human on ${date}${callData.transfer && callData.transfer.reason ? ` (${truncate(callData.transfer.reason, 120)})` : ''}`);
+    }
+  }
+  return issues;
+}
+
+function emptyContext() {
+  return {
+    caller_known: false,
+    caller_name: '',
+    previous_calls: 0,
+    last_call_date: '',
+    last_disposition: '',
+    last_call_summary: '',
+    open_issues: '',
+    caller_context: 'First-time caller: no previous calls on record.'
+  };
+}
+
+/**
+ * Build the caller-context dynamic variables for a number
+ * @param {string} phoneNumber - The caller's (or lead's) number
+ * @param {Object} [options]
+ * @param {string} [options.excludeCallId] - Provider call ID of the current call
+ * @returns {Promise<Object>} - Dynamic variables (strings, numbers and booleans only)
+ */
+async function buildCallerContext(phoneNumber, { excludeCallId = null } = {}) {
+  if (!CONTEXT_ENABLED || !phoneNumber) {
+    return {};
+  }
+  const number = normalizePhoneNumber(phoneNumber) || phoneNumber;
+
+  try {
+    const [calls, lead] = await Promise.all([
+      dbService.getRecentCallsWithNumber(number, HISTORY_LIMIT, excludeCallId),
+      dbService.getLatestLeadByNumber(number)
+    ]);
+    if (calls.length === 0 && !lead) {
+      return emptyContext();
+    }
+
+    const previousCalls = calls.length === HISTORY_LIMIT
+      ? await dbService.countCallsWithNumber(number, excludeCallId)
+      : calls.length;
+    const lastCall = calls[0] || null;
+    const lastCallData = (lastCall && lastCall.call_data) || {};
+    const name = (lead && lead.name) || calls.map(call => ((call.call_data || {}).variables || {}).name).find(Boolean) || '';
+    const openIssues = findOpenIssues(calls);
+
+    const context = {
+      caller_known: previousCalls > 0,
+      caller_name: name,
+      previous_calls: previousCalls,
+      last_call_date: lastCall ? formatDate(lastCall.start_time) : '',
+      last_disposition: lastCallData.disposition || '',
+      last_call_summary: lastCall ? summarizeCall(lastCall) : '',
+      open_issues: openIssues.join('; ')
+    };
+
+    const lines = [
+      `Name: ${context.caller_name || 'unknown'}`,
+      `Previous calls: ${context.previous_calls}`
+    ];
+    if (lastCall) {
+      lines.push(`Last call: ${context.last_call_date} (${lastCall.direction}${context.last_disposition ? `, ${context.last_disposition}` : ''})`);
+    }
+    if (context.open_issues) {
+      lines.push(`Open issues: ${context.open_issues}`);
+    }
+    if (context.last_call_summary) {
+      lines.push(`Last summary: ${context.last_call_summary}`);
+    }
+    context.caller_context = lines.join('\n');
+
+    return context;
+  } catch (error) {
+    logger.error(`[Caller Context] Error building context for ${number}:`, error);
+    // The agent's prompt may reference the variables, so they are still sent
+    return emptyContext();
+  }
+}
+
+module.exports = {
+  buildCallerContext
+};
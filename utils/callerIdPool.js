@@ -0,0 +1,239 @@
+/**
+ * Caller-ID Pool
+ *
+ * Picks the outbound `from` number for each call from the managed pool of
+ * Twilio numbers, enforces per-number daily call caps with Redis counters,
+ * and tracks answer rates so numbers flagged as spam can be spotted and retired.
+ */
+
+const logger = require('./logger');
+const { redisClient } = require('./redisClient');
+const { dbService } = require('./dbClient');
+const { normalizePhoneNumber, getAreaCode } = require('./phoneNumbers');
+
+const STRATEGIES = ['local', 'round_robin', 'least_used'];
+const DEFAULT_STRATEGY = STRATEGIES.includes(process.env.CALLER_ID_STRATEGY)
+  ? process.env.CALLER_ID_STRATEGY
+  : 'local';
+const DEFAULT_DAILY_CAP = parseInt(process.env.CALLER_ID_DAILY_CAP, 10) || 100;
+
+// Numbers whose answer rate falls below this (after enough calls) are flagged for review
+const MIN_ANSWER_RATE = parseFloat(process.env.CALLER_ID_MIN_ANSWER_RATE) || 0.1;
+const MIN_CALLS_FOR_RATE = parseInt(process.env.CALLER_ID_MIN_CALLS_FOR_RATE, 10) || 50;
+
+const USAGE_KEY_PREFIX = 'caller_id_usage:';
+const ROUND_ROBIN_KEY = 'caller_id_round_robin';
+
+function usageKey(phoneNumber, date = new Date()) {
+  return `${USAGE_KEY_PREFIX}${date.toISOString().substring(0, 10)}:${phoneNumber}`;
+}
+
+/**
+ * Calls placed today (UTC) for each number
+ * @param {Array<string>} phoneNumbers - Pool numbers
+ * @returns {Promise<Object>} - { number: count }
+ */
+async function getUsageToday(phoneNumbers) {
+  if (phoneNumbers.length === 0) {
+    return {};
+  }
+  const values = await redisClient.mGet(phoneNumbers.map(number => usageKey(number)));
+  const usage = {};
+  phoneNumbers.forEach((number, index) => { usage[number] = parseInt(values[index], 10) || 0; });
+  return usage;
+}
+
+/**
+ * Claim one call against a number's daily cap. The claim is given back with
+ * releaseCallerId if the call is not placed; calls_total is only counted by
+ * recordPlaced once Twilio accepts the call.
+ * @param {Object} number - PhoneNumber record
+ * @returns {Promise<boolean>} - False if the number is already at its cap
+ */
+async function reserve(number) {
+  const key = usageKey(number.phone_number);
+  const used = await redisClient.incr(key);
+  if (used === 1) {
+    await redisClient.expire(key, 2 * 24 * 3600);
+  }
+  if (used > (number.daily_cap || DEFAULT_DAILY_CAP)) {
+    await redisClient.decr(key);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Order pool numbers by preference for a given strategy
+ * @param {Array<Object>} numbers - Active PhoneNumber records
+ * @param {string} to - The lead's number
+ * @param {string} strategy - local, round_robin or least_used
+ * @returns {Promise<Array<Object>>}
+ */
+async function rankCandidates(numbers, to, strategy) {
+  const usage = await getUsageToday(numbers.map(number => number.phone_number));
+  const leastUsed = [...numbers].sort((a, b) => usage[a.phone_number] - usage[b.phone_number]);
+
+  if (strategy === 'round_robin') {
+    const offset = (await redisClient.incr(ROUND_ROBIN_KEY)) % numbers.length;
+    return [...numbers.slice(offset), ...numbers.slice(0, offset)];
+  }
+
+  if (strategy === 'local') {
+    // Local presence: same area code first, least used among them, then everyone else
+    const areaCode = getAreaCode(to);
+    const local = leastUsed.filter(number => areaCode && number.area_code === areaCode);
+    return [...local, ...leastUsed.filter(number => !local.includes(number))];
+  }
+
+  return leastUsed;
+}
+
+/**
+ * Choose the caller ID for an outbound call
+ * @param {string} to - The lead's number
+ * @param {Object} [options] - { from: requested number, strategy }
+ * @returns {Promise<Object|null>} - { from, pooled } or null if every pool number is at its daily cap
+ */
+async function selectCallerId(to, { from = null, strategy = DEFAULT_STRATEGY } = {}) {
+  const numbers = await dbService.listPhoneNumbers({ status: 'active' });
+
+  // No managed pool yet: keep using the account's default number
+  if (numbers.length === 0) {
+    return { from: process.env.TWILIO_PHONE_NUMBER, pooled: false };
+  }
+
+  const requested = from ? numbers.find(number => number.phone_number === normalizePhoneNumber(from)) : null;
+  if (from && !requested) {
+    logger.warn(`[CallerID] Requested from number ${from} is not an active pool number. Selecting automatically.`);
+  }
+  if (requested && await reserve(requested)) {
+    return { from: requested.phone_number, pooled: true };
+  }
+
+  const candidates = await rankCandidates(numbers, to, strategy);
+  for (const candidate of candidates) {
+    if (candidate !== requested && await reserve(candidate)) {
+      logger.info(`[CallerID] Selected ${candidate.phone_number} for ${to} (${strategy})`);
+      return { from: candidate.phone_number, pooled: true };
+    }
+  }
+
+  logger.warn(`[CallerID] All ${numbers.length} pool numbers are at their daily cap.`);
+  return null;
+}
+
+/**
+ * Check whether a number is an active pool number
+ * @param {string} phoneNumber - Number in any common format
+ * @returns {Promise<boolean>}
+ */
+async function isActiveNumber(phoneNumber) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized) {
+    return false;
+  }
+  const numbers = await dbService.listPhoneNumbers({ status: 'active' });
+  return numbers.some(number => number.phone_number === normalized);
+}
+
+/**
+ * Start of the next UTC day, when daily caps reset
+ * @returns {Date}
+ */
+function getNextCapReset() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+/**
+ * Give back a daily-cap claim for a call that was never placed (the job failed
+ * before Twilio accepted it, e.g. ahead of a BullMQ retry)
+ * @param {string} phoneNumber - The caller ID that was selected
+ */
+async function releaseCallerId(phoneNumber) {
+  try {
+    const used = await redisClient.decr(usageKey(phoneNumber));
+    if (used < 0) {
+      // The counter expired (or the day rolled over) since the claim
+      await redisClient.del(usageKey(phoneNumber));
+    }
+  } catch (error) {
+    logger.error(`[CallerID] Error releasing daily cap claim for ${phoneNumber}:`, error);
+  }
+}
+
+/**
+ * Count a call Twilio accepted towards a number's usage stats
+ * @param {string} phoneNumber - The caller ID that was used
+ */
+async function recordPlaced(phoneNumber) {
+  if (phoneNumber) {
+    await dbService.incrementPhoneNumberStats(phoneNumber, { calls_total: 1 }, { last_used_at: new Date() });
+  }
+}
+
+/**
+ * Count an answered call towards a number's answer rate
+ * @param {string} phoneNumber - The caller ID that was used
+ */
+async function recordAnswered(phoneNumber) {
+  if (phoneNumber) {
+    await dbService.incrementPhoneNumberStats(phoneNumber, { answered_total: 1 });
+  }
+}
+
+/**
+ * Pool number with today's usage, answer rate and spam flag
+ * @param {Object} number - PhoneNumber record
+ * @param {number} usedToday - Calls placed today
+ * @returns {Object}
+ */
+function describeNumber(number, usedToday) {
+  const answerRate = number.calls_total > 0 ? number.answered_total / number.calls_total : null;
+  return {
+    ...number.toJSON(),
+    daily_cap: number.daily_cap || DEFAULT_DAILY_CAP,
+    calls_today: usedToday,
+    answer_rate: answerRate,
+    flagged: answerRate !== null && number.calls_total >= MIN_CALLS_FOR_RATE && answerRate < MIN_ANSWER_RATE
+  };
+}
+
+/**
+ * List pool numbers with usage stats
+ * @param {Object} [where] - Optional filter, e.g. { status: 'active' }
+ * @returns {Promise<Array<Object>>}
+ */
+async function listNumbers(where = {}) {
+  const numbers = await dbService.listPhoneNumbers(where);
+  const usage = await getUsageToday(numbers.map(number => number.phone_number));
+  return numbers.map(number => describeNumber(number, usage[number.phone_number]));
+}
+
+/**
+ * Get one pool number with usage stats
+ * @param {string} id - PhoneNumber ID
+ * @returns {Promise<Object|null>}
+ */
+async function getNumber(id) {
+  const number = await dbService.getPhoneNumber(id);
+  if (!number) {
+    return null;
+  }
+  const usage = await getUsageToday([number.phone_number]);
+  return describeNumber(number, usage[number.phone_number]);
+}
+
+module.exports = {
+  STRATEGIES,
+  DEFAULT_STRATEGY,
+  selectCallerId,
+  isActiveNumber,
+  getNextCapReset,
+  releaseCallerId,
+  recordPlaced,
+  recordAnswered,
+  listNumbers,
+  getNumber
+};
@@ -0,0 +1,172 @@
+/**
+ * Calling Hours
+ *
+ * Decides whether a lead may be dialed right now in their local time and,
+ * if not, when the next allowed slot starts. The worker uses this to push
+ * out-of-window jobs back onto the queue as delayed jobs.
+ */
+
+const AREA_CODE_TIMEZONES = require('./areaCodeTimezones');
+const { getAreaCode } = require('./phoneNumbers');
+
+const DEFAULT_TIMEZONE = process.env.CALLING_HOURS_DEFAULT_TIMEZONE || 'America/New_York';
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ * @param {string} value - Time of day
+ * @returns {number|null}
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check that a string is a timezone the runtime understands
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Build a calling window from an override, falling back to the env defaults
+ * (CALLING_HOURS_START, CALLING_HOURS_END, CALLING_DAYS; 0 = Sunday)
+ * @param {Object} [override] - { start: "HH:MM", end: "HH:MM", days: [1..5] }
+ * @returns {{ window?: Object, error?: string }}
+ */
+function resolveWindow(override = {}) {
+  const start = parseTimeOfDay(override.start || process.env.CALLING_HOURS_START || '09:00');
+  const end = parseTimeOfDay(override.end || process.env.CALLING_HOURS_END || '20:00');
+  const days = override.days ||
+    (process.env.CALLING_DAYS || '1,2,3,4,5').split(',').map(day => parseInt(day, 10));
+
+  if (start === null || end === null || start >= end) {
+    return { error: 'Calling window start and end must be HH:MM with start before end' };
+  }
+  if (!Array.isArray(days) || days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return { error: 'Calling window days must be integers from 0 (Sunday) to 6 (Saturday)' };
+  }
+  return { window: { start, end, days } };
+}
+
+/**
+ * Resolve the timezone for a lead: explicit value, then area code, then default
+ * @param {string} phoneNumber - The lead's number
+ * @param {string} [explicitTimezone] - Timezone supplied with the lead
+ * @returns {string}
+ */
+function resolveTimezone(phoneNumber, explicitTimezone) {
+  if (isValidTimezone(explicitTimezone)) {
+    return explicitTimezone;
+  }
+  const areaCode = getAreaCode(phoneNumber);
+  return (areaCode && AREA_CODE_TIMEZONES[areaCode]) || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Break a date into wall-clock parts for a timezone
+ * @param {Date} date - The instant
+ * @param {string} timezone - IANA timezone
+ * @returns {{ year, month, day, hour, minute, weekday }}
+ */
+function getZonedParts(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'short'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC Date
+ */
+function zonedTimeToUtc(year, month, day, minutesOfDay, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, Math.floor(minutesOfDay / 60), minutesOfDay % 60);
+  const offsetAt = (timestamp) => {
+    const parts = getZonedParts(new Date(timestamp), timezone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - timestamp;
+  };
+  // Apply the offset twice so a DST change between guess and result is honoured
+  let utc = wallClock - offsetAt(wallClock);
+  utc = wallClock - offsetAt(utc);
+  return new Date(utc);
+}
+
+/**
+ * Work out when a lead may next be dialed
+ * @param {string} timezone - The lead's timezone
+ * @param {Object} window - Output of resolveWindow().window
+ * @param {Date} [now] - Reference time
+ * @returns {Date|null} - null if dialing is allowed now, otherwise the next window start
+ */
+function getNextAllowedTime(timezone, window, now = new Date()) {
+  const local = getZonedParts(now, timezone);
+  const minutesNow = local.hour * 60 + local.minute;
+
+  if (window.days.includes(local.weekday) && minutesNow >= window.start && minutesNow < window.end) {
+    return null;
+  }
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const candidate = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+    if (!window.days.includes(candidate.getUTCDay())) {
+      continue;
+    }
+    if (offset === 0 && minutesNow >= window.start) {
+      continue; // Today's window has already closed
+    }
+    return zonedTimeToUtc(
+      candidate.getUTCFullYear(),
+      candidate.getUTCMonth() + 1,
+      candidate.getUTCDate(),
+      window.start,
+      timezone
+    );
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveWindow,
+  resolveTimezone,
+  getNextAllowedTime
+};
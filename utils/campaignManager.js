@@ -0,0 +1,520 @@
+/**
+ * Campaign Manager
+ *
+ * Owns the outbound campaign lifecycle (start, pause, resume, stop), paces
+ * lead dialing according to each campaign's calls-per-minute and max
+ * concurrency settings, and tracks per-lead call progress.
+ *
+ * Leads are fed into the regular 'outbound-calls' BullMQ queue, so the worker
+ * does not need to know anything about campaigns beyond the campaignId/leadId
+ * it carries through to Redis and the Call record.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const { redisClient } = require('./redisClient');
+const { dbService } = require('./dbClient');
+const { outboundCallQueue } = require('./outboundQueue');
+const webhookDispatcher = require('./webhookDispatcher');
+const { normalizePhoneNumber } = require('./phoneNumbers');
+const { parseCsv } = require('./csvParser');
+
+const DISPATCH_INTERVAL_MS = parseInt(process.env.CAMPAIGN_DISPATCH_INTERVAL_MS, 10) || 5000;
+const DISPATCH_LOCK_KEY = 'campaign_dispatcher_lock';
+const RATE_KEY_PREFIX = 'campaign_rate:';
+// Largest CSV lead import accepted, as a text/csv body or JSON { csv } (body-parser size string)
+const CSV_IMPORT_MAX_SIZE = process.env.CSV_IMPORT_MAX_SIZE || '10mb';
+
+// Allowed lifecycle transitions: action -> { from: [...], to }
+const TRANSITIONS = {
+  start: { from: ['draft'], to: 'running' },
+  pause: { from: ['running'], to: 'paused' },
+  resume: { from: ['paused'], to: 'running' },
+  stop: { from: ['draft', 'running', 'paused'], to: 'stopped' }
+};
+
+// Map Twilio call statuses onto lead statuses
+const CALL_STATUS_TO_LEAD_STATUS = {
+  queued: 'dialing',
+  initiated: 'dialing',
+  ringing: 'dialing',
+  'in-progress': 'answered',
+  completed: 'completed',
+  busy: 'failed',
+  'no-answer': 'failed',
+  failed: 'failed',
+  canceled: 'failed',
+  suppressed: 'suppressed' // Refused by the worker because the number is on the DNC list
+};
+
+let dispatchTimer = null;
+
+/**
+ * Normalize lead input from the API into Lead model attributes
+ * @param {Array<Object>} leads - Leads as { to|phoneNumber, name, metadata }
+ * @returns {{ valid: Array<Object>, invalid: Array<Object> }}
+ */
+function prepareLeads(leads) {
+  const valid = [];
+  const invalid = [];
+
+  leads.forEach((lead, index) => {
+    const phoneNumber = lead && (lead.to || lead.phoneNumber);
+    if (!phoneNumber) {
+      invalid.push({ index, error: 'Missing phone number' });
+      return;
+    }
+    const normalized = normalizePhoneNumber(phoneNumber);
+    if (!normalized) {
+      invalid.push({ index, phoneNumber, error: 'Invalid phone number' });
+      return;
+    }
+    valid.push({
+      phone_number: normalized,
+      name: lead.name || null,
+      metadata: lead.metadata || null,
+      status: 'pending'
+    });
+  });
+
+  return { valid, invalid };
+}
+
+/**
+ * Create a campaign, optionally with an initial lead list
+ * @param {Object} options - Campaign settings from the API
+ * @returns {Promise<{ campaign: Object, invalid: Array<Object> }|null>}
+ */
+async function createCampaign({ name, callsPerMinute, maxConcurrency, from, n8nWorkflowUrl, leads }) {
+  const campaign = await dbService.createCampaign({
+    name,
+    status: 'draft',
+    calls_per_minute: callsPerMinute || 1,
+    max_concurrency: maxConcurrency || 1,
+    from_number: from || null,
+    n8n_workflow_url: n8nWorkflowUrl || null
+  });
+  if (!campaign) {
+    return null;
+  }
+
+  let invalid = [];
+  if (Array.isArray(leads) && leads.length > 0) {
+    const result = await addLeads(campaign.id, leads);
+    invalid = result ? result.invalid : [];
+  }
+
+  logger.info(`[Campaign ${campaign.id}] Created campaign "${name}"`);
+  return { campaign, invalid };
+}
+
+/**
+ * Attach leads to an existing campaign
+ * @param {string} campaignId - The campaign ID
+ * @param {Array<Object>} leads - Leads as { to|phoneNumber, name, metadata }
+ * @returns {Promise<{ added: number, invalid: Array<Object> }|null>}
+ */
+async function addLeads(campaignId, leads) {
+  const { valid, invalid } = prepareLeads(leads);
+  if (valid.length === 0) {
+    return { added: 0, invalid };
+  }
+
+  const created = await dbService.addLeads(campaignId, valid);
+  if (!created) {
+    return null;
+  }
+
+  logger.info(`[Campaign ${campaignId}] Added ${created.length} leads (${invalid.length} rejected)`);
+  return { added: created.length, invalid };
+}
+
+// Header names (lower-cased, spaces/dashes as underscores) recognised as lead fields
+const CSV_PHONE_COLUMNS = ['phone', 'phone_number', 'phonenumber', 'to', 'number', 'mobile', 'cell'];
+const CSV_NAME_COLUMNS = ['name', 'full_name', 'fullname', 'contact_name'];
+
+function csvKey(header) {
+  return header.toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Import leads from CSV into a campaign, producing a per-row report.
+ * The phone column is normalized to E.164; a name column (or first/last name)
+ * becomes the lead name and every other column is kept as lead metadata.
+ * @param {string} campaignId - The campaign ID
+ * @param {string} csvText - Raw CSV with a header row
+ * @param {Object} [options] - { phoneColumn } to override column detection
+ * @returns {Promise<Object|null>} - { error } for unusable input, null on DB failure,
+ *   otherwise { summary, rows }
+ * @throws If the DNC list cannot be read, so suppressed numbers are never imported as dialable
+ */
+async function importLeadsFromCsv(campaignId, csvText, { phoneColumn } = {}) {
+  const { headers, records } = parseCsv(csvText);
+  if (records.length === 0) {
+    return { error: 'CSV must have a header row and at least one data row' };
+  }
+
+  const phoneHeader = phoneColumn
+    ? headers.find(header => header === phoneColumn)
+    : headers.find(header => CSV_PHONE_COLUMNS.includes(csvKey(header)));
+  if (!phoneHeader) {
+    return { error: phoneColumn ? `Column "${phoneColumn}" not found` : 'No phone number column found' };
+  }
+  const nameHeader = headers.find(header => CSV_NAME_COLUMNS.includes(csvKey(header)));
+  const firstNameHeader = headers.find(header => csvKey(header) === 'first_name');
+  const lastNameHeader = headers.find(header => csvKey(header) === 'last_name');
+
+  const rows = [];
+  const seen = new Set();
+  const candidates = [];
+
+  records.forEach(({ row, values }) => {
+    const raw = values[phoneHeader];
+    const normalized = normalizePhoneNumber(raw);
+    if (!normalized) {
+      rows.push({ row, phoneNumber: raw || null, status: 'invalid', error: raw ? 'Invalid phone number' : 'Missing phone number' });
+      return;
+    }
+    if (seen.has(normalized)) {
+      rows.push({ row, phoneNumber: normalized, status: 'duplicate', error: 'Duplicate of an earlier row' });
+      return;
+    }
+    seen.add(normalized);
+
+    const name = (nameHeader && values[nameHeader]) ||
+      [firstNameHeader && values[firstNameHeader], lastNameHeader && values[lastNameHeader]].filter(Boolean).join(' ') ||
+      null;
+    const metadata = {};
+    headers.forEach(header => {
+      if (![phoneHeader, nameHeader].includes(header) && values[header] !== '') {
+        metadata[header] = values[header];
+      }
+    });
+
+    const result = { row, phoneNumber: normalized, status: 'imported' };
+    rows.push(result);
+    candidates.push({
+      result,
+      lead: {
+        phone_number: normalized,
+        name,
+        metadata: Object.keys(metadata).length > 0 ? metadata : null,
+        status: 'pending'
+      }
+    });
+  });
+
+  const numbers = candidates.map(candidate => candidate.lead.phone_number);
+  const existing = numbers.length > 0 ? await dbService.findCampaignLeadNumbers(campaignId, numbers) : [];
+  const suppressed = numbers.length > 0 ? await dbService.findDncNumbers(numbers) : [];
+  if (existing === null) {
+    return null;
+  }
+
+  const toAdd = [];
+  candidates.forEach(({ result, lead }) => {
+    if (suppressed.includes(lead.phone_number)) {
+      Object.assign(result, { status: 'dnc', error: 'Number is on the Do-Not-Call list' });
+    } else if (existing.includes(lead.phone_number)) {
+      Object.assign(result, { status: 'duplicate', error: 'Already a lead in this campaign' });
+    } else {
+      toAdd.push(lead);
+    }
+  });
+
+  if (toAdd.length > 0) {
+    const created = await dbService.addLeads(campaignId, toAdd);
+    if (!created) {
+      return null;
+    }
+  }
+
+  const summary = { total: records.length, imported: toAdd.length, invalid: 0, duplicate: 0, dnc: 0 };
+  rows.forEach(result => {
+    if (result.status !== 'imported') {
+      summary[result.status] += 1;
+    }
+  });
+
+  logger.info(`[Campaign ${campaignId}] CSV import: ${summary.imported}/${summary.total} rows imported ` +
+    `(${summary.invalid} invalid, ${summary.duplicate} duplicate, ${summary.dnc} DNC)`);
+  return { summary, rows };
+}
+
+/**
+ * Apply a lifecycle action to a campaign
+ * @param {string} campaignId - The campaign ID
+ * @param {string} action - One of start, pause, resume, stop
+ * @returns {Promise<{ campaign?: Object, error?: string }>}
+ */
+async function transitionCampaign(campaignId, action) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    return { error: `Unknown campaign action: ${action}` };
+  }
+
+  const campaign = await dbService.getCampaign(campaignId);
+  if (!campaign) {
+    return { error: 'Campaign not found', notFound: true };
+  }
+  if (!transition.from.includes(campaign.status)) {
+    return { error: `Cannot ${action} a campaign that is ${campaign.status}` };
+  }
+
+  const updateData = { status: transition.to };
+  if (action === 'start') {
+    updateData.started_at = new Date();
+  }
+  if (action === 'stop') {
+    updateData.completed_at = new Date();
+  }
+  await dbService.updateCampaign(campaignId, updateData);
+
+  if (action === 'stop') {
+    await cancelQueuedLeads(campaignId);
+  }
+
+  logger.info(`[Campaign ${campaignId}] ${campaign.status} -> ${transition.to}`);
+  return { campaign: await dbService.getCampaign(campaignId) };
+}
+
+/**
+ * Remove queued-but-not-yet-dialed jobs for a stopped campaign
+ * @param {string} campaignId - The campaign ID
+ */
+async function cancelQueuedLeads(campaignId) {
+  const queuedLeads = [
+    ...await dbService.getLeadsByStatus(campaignId, 'queued'),
+    ...await dbService.getLeadsByStatus(campaignId, 'retrying')
+  ];
+  for (const lead of queuedLeads) {
+    try {
+      const job = lead.last_job_id ? await outboundCallQueue.getJob(lead.last_job_id) : null;
+      const state = job ? await job.getState() : null;
+      if (job && ['waiting', 'delayed', 'prioritized'].includes(state)) {
+        await job.remove();
+        await dbService.updateLead(lead.id, { status: 'pending' });
+        logger.info(`[Campaign ${campaignId}] Removed queued job ${lead.last_job_id} for lead ${lead.id}`);
+      }
+    } catch (error) {
+      logger.error(`[Campaign ${campaignId}] Error cancelling job for lead ${lead.id}:`, error);
+    }
+  }
+}
+
+/**
+ * Summarize campaign progress from lead statuses
+ * @param {string} campaignId - The campaign ID
+ * @returns {Promise<Object|null>}
+ */
+async function getCampaignProgress(campaignId) {
+  const counts = await dbService.getCampaignLeadCounts(campaignId);
+  if (!counts) {
+    return null;
+  }
+
+  const byStatus = counts.byStatus;
+  const count = status => byStatus[status] || 0;
+  const total = Object.values(byStatus).reduce((sum, n) => sum + n, 0);
+
+  return {
+    total,
+    pending: count('pending'),
+    queued: count('queued'),
+    retrying: count('retrying'),
+    inProgress: count('dialing') + count('answered'),
+    dialed: total - count('pending') - count('queued') - count('suppressed'),
+    answered: counts.answered,
+    completed: count('completed'),
+    failed: count('failed'),
+    suppressed: count('suppressed')
+  };
+}
+
+/**
+ * Enqueue a single lead on the outbound call queue
+ * @param {Object} campaign - The campaign record
+ * @param {Object} lead - The lead record
+ */
+async function enqueueLead(campaign, lead) {
+  const jobId = uuidv4();
+  const jobData = {
+    to: lead.phone_number,
+    from: campaign.from_number || null, // Null lets the worker pick from the caller-ID pool
+    n8nWorkflowUrl: campaign.n8n_workflow_url || null,
+    timezone: (lead.metadata && lead.metadata.timezone) || null,
+    leadName: lead.name || null,
+    voicemailMessage: (lead.metadata && lead.metadata.voicemailMessage) || null,
+    variables: lead.metadata || null, // Custom lead columns become conversation variables
+    jobId,
+    campaignId: campaign.id,
+    leadId: lead.id
+  };
+
+  await outboundCallQueue.add('initiate-call', jobData, { jobId });
+  await dbService.updateLead(lead.id, {
+    status: 'queued',
+    attempts: lead.attempts + 1,
+    last_job_id: jobId
+  });
+  await webhookDispatcher.emitEvent(jobData.n8nWorkflowUrl, 'call.queued', webhookDispatcher.buildCallPayload(jobData));
+  logger.info(`[Campaign ${campaign.id}][Job ${jobId}] Queued lead ${lead.id} (${lead.phone_number})`);
+}
+
+/**
+ * Work out how many leads a campaign may dial right now
+ * @param {Object} campaign - The campaign record
+ * @param {Object} progress - Output of getCampaignProgress
+ * @returns {Promise<number>}
+ */
+async function getDispatchBudget(campaign, progress) {
+  // Leads waiting on a redial hold their slot: the redial job is dialed by the
+  // worker without passing through the dispatcher again
+  const concurrencyBudget = campaign.max_concurrency - (progress.queued + progress.retrying + progress.inProgress);
+  if (concurrencyBudget <= 0) {
+    return 0;
+  }
+
+  // Spread the per-minute rate across dispatcher ticks and cap by what is
+  // left of this minute's allowance
+  const perTick = Math.max(1, Math.ceil(campaign.calls_per_minute * DISPATCH_INTERVAL_MS / 60000));
+  const minute = Math.floor(Date.now() / 60000);
+  const rateKey = `${RATE_KEY_PREFIX}${campaign.id}:${minute}`;
+  const usedThisMinute = parseInt(await redisClient.get(rateKey), 10) || 0;
+  const rateBudget = campaign.calls_per_minute - usedThisMinute;
+
+  return Math.max(0, Math.min(concurrencyBudget, perTick, rateBudget, progress.pending));
+}
+
+/**
+ * Dispatch leads for one running campaign
+ * @param {Object} campaign - The campaign record
+ */
+async function dispatchCampaign(campaign) {
+  const progress = await getCampaignProgress(campaign.id);
+  if (!progress) {
+    return;
+  }
+
+  if (progress.pending === 0 && progress.queued === 0 && progress.retrying === 0 && progress.inProgress === 0) {
+    await dbService.updateCampaign(campaign.id, { status: 'completed', completed_at: new Date() });
+    logger.info(`[Campaign ${campaign.id}] All leads processed. Campaign completed.`);
+    return;
+  }
+
+  const budget = await getDispatchBudget(campaign, progress);
+  if (budget === 0) {
+    return;
+  }
+
+  const leads = await dbService.getLeadsByStatus(campaign.id, 'pending', budget);
+  const minute = Math.floor(Date.now() / 60000);
+  const rateKey = `${RATE_KEY_PREFIX}${campaign.id}:${minute}`;
+
+  for (const lead of leads) {
+    try {
+      await enqueueLead(campaign, lead);
+      await redisClient.incr(rateKey);
+      await redisClient.expire(rateKey, 120);
+    } catch (error) {
+      logger.error(`[Campaign ${campaign.id}] Error queueing lead ${lead.id}:`, error);
+    }
+  }
+}
+
+/**
+ * One dispatcher pass over all running campaigns. Guarded by a Redis lock so
+ * only one server instance dispatches per interval.
+ */
+async function dispatchTick() {
+  try {
+    const acquired = await redisClient.set(DISPATCH_LOCK_KEY, String(process.pid), {
+      PX: DISPATCH_INTERVAL_MS,
+      NX: true
+    });
+    if (acquired !== 'OK') {
+      return;
+    }
+
+    const campaigns = await dbService.listCampaigns({ status: 'running' });
+    for (const campaign of campaigns) {
+      await dispatchCampaign(campaign);
+    }
+  } catch (error) {
+    logger.error('[Campaign] Error during dispatcher tick:', error);
+  }
+}
+
+/**
+ * Start the periodic campaign dispatcher
+ */
+function startDispatcher() {
+  if (dispatchTimer) {
+    return;
+  }
+  dispatchTimer = setInterval(dispatchTick, DISPATCH_INTERVAL_MS);
+  logger.info(`Campaign dispatcher started (interval ${DISPATCH_INTERVAL_MS}ms)`);
+}
+
+/**
+ * Stop the periodic campaign dispatcher
+ */
+function stopDispatcher() {
+  if (dispatchTimer) {
+    clearInterval(dispatchTimer);
+    dispatchTimer = null;
+    logger.info('Campaign dispatcher stopped');
+  }
+}
+
+/**
+ * Record a call status update against the lead that produced the call
+ * @param {string} leadId - The lead ID
+ * @param {string} callStatus - Twilio call status (or 'failed' for worker failures)
+ * @param {string} [callSid] - Twilio call SID, if known
+ */
+async function recordLeadCallStatus(leadId, callStatus, callSid) {
+  const leadStatus = CALL_STATUS_TO_LEAD_STATUS[callStatus];
+  if (!leadId || !leadStatus) {
+    return;
+  }
+
+  const updateData = { status: leadStatus };
+  if (callSid) {
+    updateData.last_call_sid = callSid;
+  }
+  if (leadStatus === 'answered') {
+    updateData.answered_at = new Date();
+  }
+  await dbService.updateLead(leadId, updateData);
+}
+
+/**
+ * Mark a lead as waiting for an automatic redial. Retrying leads count
+ * against the campaign's concurrency while they wait out the backoff.
+ * @param {string} leadId - The lead ID
+ * @param {string} jobId - The delayed redial job
+ * @param {number} attempt - The attempt number of the redial
+ * @param {string} [callSid] - Twilio Call SID of the attempt that just ended
+ */
+async function recordLeadRedial(leadId, jobId, attempt, callSid) {
+  const updateData = { status: 'retrying', attempts: attempt, last_job_id: jobId };
+  if (callSid) {
+    updateData.last_call_sid = callSid;
+  }
+  await dbService.updateLead(leadId, updateData);
+}
+
+module.exports = {
+  CSV_IMPORT_MAX_SIZE,
+  createCampaign,
+  addLeads,
+  importLeadsFromCsv,
+  transitionCampaign,
+  getCampaignProgress,
+  recordLeadCallStatus,
+  recordLeadRedial,
+  startDispatcher,
+  stopDispatcher,
+  dispatchTick
+};
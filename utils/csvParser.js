@@ -0,0 +1,85 @@
+/**
+ * Minimal CSV parser (RFC 4180): quoted fields, escaped quotes ("")
+ * and line breaks inside quotes. Handles CRLF/LF endings and a UTF-8 BOM.
+ */
+
+/**
+ * Parse CSV text into rows of string fields
+ * @param {string} text - Raw CSV
+ * @param {string} [delimiter] - Field delimiter
+ * @returns {Array<Array<string>>}
+ */
+function parseRows(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by column name
+ * @param {string} text - Raw CSV
+ * @param {string} [delimiter] - Field delimiter
+ * @returns {{ headers: Array<string>, records: Array<{ row: number, values: Object }> }}
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = parseRows(text, delimiter);
+  if (rows.length === 0) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = rows[0].map(header => header.trim());
+  const records = [];
+  rows.slice(1).forEach((fields, index) => {
+    // Skip blank lines
+    if (fields.length === 1 && fields[0].trim() === '') {
+      return;
+    }
+    const values = {};
+    headers.forEach((header, column) => {
+      values[header] = (fields[column] || '').trim();
+    });
+    records.push({ row: index + 2, values }); // Spreadsheet row number, header is row 1
+  });
+
+  return { headers, records };
+}
+
+module.exports = { parseRows, parseCsv };
@@ -63,6 +63,27 @@ const Call = sequelize.define('Call', {
   call_data: {
     type: Sequelize.JSONB,
     allowNull: true
+  },
+  attempt: {
+    type: Sequelize.INTEGER, // 1 for the first dial, 2+ for automatic redials
+    allowNull: false,
+    defaultValue: 1
+  },
+  original_call_id: {
+    type: Sequelize.UUID, // Call record of attempt 1; null on the first attempt itself
+    allowNull: true
+  },
+  recording_storage: {
+    type: Sequelize.STRING, // Recording storage backend, e.g. 'local'
+    allowNull: true
+  },
+  recording_location: {
+    type: Sequelize.STRING, // Backend-specific location of the stereo WAV
+    allowNull: true
+  },
+  recording_duration: {
+    type: Sequelize.INTEGER, // Seconds
+    allowNull: true
   }
 }, {
   timestamps: true,
@@ -104,9 +125,339 @@ const Message = sequelize.define('Message', {
   updatedAt: false // Messages are immutable, only created
 });
 
+const Campaign = sequelize.define('Campaign', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: Sequelize.STRING,
+    allowNull: false
+  },
+  status: {
+    type: Sequelize.STRING, // draft, running, paused, stopped, completed
+    allowNull: false,
+    defaultValue: 'draft'
+  },
+  calls_per_minute: {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  max_concurrency: {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  from_number: {
+    type: Sequelize.STRING,
+    allowNull: true
+  },
+  n8n_workflow_url: {
+    type: Sequelize.STRING,
+    allowNull: true
+  },
+  started_at: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  completed_at: {
+    type: Sequelize.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  underscored: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+const Lead = sequelize.define('Lead', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  campaign_id: {
+    type: Sequelize.UUID,
+    allowNull: false,
+    references: {
+      model: Campaign,
+      key: 'id'
+    }
+  },
+  phone_number: {
+    type: Sequelize.STRING,
+    allowNull: false
+  },
+  name: {
+    type: Sequelize.STRING,
+    allowNull: true
+  },
+  metadata: {
+    type: Sequelize.JSONB,
+    allowNull: true
+  },
+  status: {
+    type: Sequelize.STRING, // pending, queued, retrying, dialing, answered, completed, failed, suppressed
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  last_job_id: {
+    type: Sequelize.STRING,
+    allowNull: true
+  },
+  last_call_sid: {
+    type: Sequelize.STRING,
+    allowNull: true
+  },
+  answered_at: {
+    type: Sequelize.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  underscored: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+const DncEntry = sequelize.define('DncEntry', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  phone_number: {
+    type: Sequelize.STRING, // E.164
+    allowNull: false,
+    unique: true
+  },
+  reason: {
+    type: Sequelize.STRING,
+    allowNull: true
+  },
+  source: {
+    type: Sequelize.STRING, // api, import, opt_out
+    allowNull: false,
+    defaultValue: 'api'
+  },
+  call_id: {
+    type: Sequelize.STRING, // External call ID that triggered an automatic opt-out
+    allowNull: true
+  }
+}, {
+  tableName: 'dnc_entries',
+  timestamps: true,
+  underscored: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+const PhoneNumber = sequelize.define('PhoneNumber', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  phone_number: {
+    type: Sequelize.STRING, // E.164
+    allowNull: false,
+    unique: true
+  },
+  friendly_name: {
+    type: Sequelize.STRING,
+    allowNull: true
+  },
+  area_code: {
+    type: Sequelize.STRING, // NANP area code, null for other countries
+    allowNull: true
+  },
+  status: {
+    type: Sequelize.STRING, // active, retired
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  daily_cap: {
+    type: Sequelize.INTEGER, // Null uses CALLER_ID_DAILY_CAP
+    allowNull: true
+  },
+  calls_total: {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  answered_total: {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  last_used_at: {
+    type: Sequelize.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'phone_numbers',
+  timestamps: true,
+  underscored: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: Sequelize.STRING,
+    allowNull: false
+  },
+  key_prefix: {
+    type: Sequelize.STRING, // First characters of the key, shown in listings
+    allowNull: false
+  },
+  key_hash: {
+    type: Sequelize.STRING, // SHA-256 of the full key; the key itself is never stored
+    allowNull: false,
+    unique: true
+  },
+  scopes: {
+    type: Sequelize.JSONB, // e.g. ["calls:write", "knowledge:read"]
+    allowNull: false,
+    defaultValue: []
+  },
+  expires_at: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  revoked_at: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  last_used_at: {
+    type: Sequelize.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'api_keys',
+  timestamps: true,
+  underscored: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+const ApiKeyUsage = sequelize.define('ApiKeyUsage', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  api_key_id: {
+    type: Sequelize.UUID, // Null for the ADMIN_API_KEY bootstrap key
+    allowNull: true
+  },
+  key_name: {
+    type: Sequelize.STRING,
+    allowNull: false
+  },
+  method: {
+    type: Sequelize.STRING,
+    allowNull: false
+  },
+  path: {
+    type: Sequelize.STRING,
+    allowNull: false
+  },
+  scope: {
+    type: Sequelize.STRING, // Scope the request required
+    allowNull: true
+  },
+  status_code: {
+    type: Sequelize.INTEGER,
+    allowNull: true
+  },
+  ip_address: {
+    type: Sequelize.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'api_key_usage',
+  timestamps: true,
+  underscored: true,
+  createdAt: 'created_at',
+  updatedAt: false // Audit entries are immutable
+});
+
+const RoutingRule = sequelize.define('RoutingRule', {
+  id: {
+    type: Sequelize.UUID,
+    defaultValue: Sequelize.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: Sequelize.STRING,
+    allowNull: false
+  },
+  agent_id: {
+    type: Sequelize.STRING, // ElevenLabs agent that takes matching calls
+    allowNull: false
+  },
+  priority: {
+    type: Sequelize.INTEGER, // Lower values are evaluated first
+    allowNull: false,
+    defaultValue: 100
+  },
+  enabled: {
+    type: Sequelize.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  to_numbers: {
+    type: Sequelize.JSONB, // Dialed numbers (E.164) the rule applies to; null matches any
+    allowNull: true
+  },
+  hours: {
+    type: Sequelize.JSONB, // Business hours: { timezone, start: "HH:MM", end: "HH:MM", days: [1..5] }
+    allowNull: true
+  },
+  hours_match: {
+    type: Sequelize.STRING, // any, open (during business hours), closed (after hours and holidays)
+    allowNull: false,
+    defaultValue: 'any'
+  },
+  holidays: {
+    type: Sequelize.JSONB, // ["YYYY-MM-DD", ...] treated as closed all day
+    allowNull: false,
+    defaultValue: []
+  },
+  caller_type: {
+    type: Sequelize.STRING, // any, new (no previous calls), returning
+    allowNull: false,
+    defaultValue: 'any'
+  }
+}, {
+  tableName: 'routing_rules',
+  timestamps: true,
+  underscored: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
 // Define relationships
 Call.hasMany(Message, { foreignKey: 'call_id', as: 'messages' });
 Message.belongsTo(Call, { foreignKey: 'call_id', as: 'call' });
+Call.hasMany(Call, { foreignKey: 'original_call_id', as: 'redials' });
+Campaign.hasMany(Lead, { foreignKey: 'campaign_id', as: 'leads' });
+Lead.belongsTo(Campaign, { foreignKey: 'campaign_id', as: 'campaign' });
+ApiKey.hasMany(ApiKeyUsage, { foreignKey: 'api_key_id', as: 'usage' });
 
 // Database service methods
 const dbService = {
@@ -187,6 +538,15 @@ const dbService = {
     }
   },
   
+  async getCall(id) {
+    try {
+      return await Call.findByPk(id);
+    } catch (error) {
+      logger.error('Error getting call from database:', error);
+      return null;
+    }
+  },
+
   async getCallWithMessages(id) {
     try {
       const call = await Call.findByPk(id, {
@@ -210,7 +570,443 @@ const dbService = {
       logger.error('Error getting call by external ID from database:', error);
       return null;
     }
+  },
+
+  // All attempts (original call plus redials) in a redial chain, oldest first
+  async getCallAttempts(original_call_id) {
+    try {
+      return await Call.findAll({
+        where: {
+          [Sequelize.Op.or]: [{ id: original_call_id }, { original_call_id }]
+        },
+        order: [['attempt', 'ASC']]
+      });
+    } catch (error) {
+      logger.error('Error getting call attempts from database:', error);
+      return [];
+    }
+  },
+
+  // Shallow-merge fields into a call's call_data JSON
+  async mergeCallData(id, callDataPatch, updateData = {}) {
+    try {
+      const call = await Call.findByPk(id);
+      if (!call) {
+        return false;
+      }
+      await Call.update({
+        ...updateData,
+        call_data: { ...(call.call_data || {}), ...callDataPatch }
+      }, { where: { id } });
+      return true;
+    } catch (error) {
+      logger.error('Error merging call data in database:', error);
+      return false;
+    }
+  },
+
+  async createCampaign(campaignData) {
+    try {
+      return await Campaign.create(campaignData);
+    } catch (error) {
+      logger.error('Error creating campaign in database:', error);
+      return null;
+    }
+  },
+
+  async getCampaign(id) {
+    try {
+      return await Campaign.findByPk(id);
+    } catch (error) {
+      logger.error('Error getting campaign from database:', error);
+      return null;
+    }
+  },
+
+  async listCampaigns(where = {}) {
+    try {
+      return await Campaign.findAll({ where, order: [['created_at', 'DESC']] });
+    } catch (error) {
+      logger.error('Error listing campaigns from database:', error);
+      return [];
+    }
+  },
+
+  async updateCampaign(id, updateData) {
+    try {
+      const [updated] = await Campaign.update(updateData, {
+        where: { id }
+      });
+      return updated > 0;
+    } catch (error) {
+      logger.error('Error updating campaign in database:', error);
+      return false;
+    }
+  },
+
+  async addLeads(campaign_id, leads) {
+    try {
+      const prepared = leads.map(lead => ({ ...lead, campaign_id }));
+      return await Lead.bulkCreate(prepared);
+    } catch (error) {
+      logger.error('Error adding leads to database:', error);
+      return null;
+    }
+  },
+
+  async getLeadsByStatus(campaign_id, status, limit) {
+    try {
+      return await Lead.findAll({
+        where: { campaign_id, status },
+        order: [['created_at', 'ASC']],
+        limit
+      });
+    } catch (error) {
+      logger.error('Error getting leads from database:', error);
+      return [];
+    }
+  },
+
+  // Phone numbers from the given list that are already leads in a campaign
+  async findCampaignLeadNumbers(campaign_id, phoneNumbers) {
+    try {
+      const leads = await Lead.findAll({
+        where: { campaign_id, phone_number: phoneNumbers },
+        attributes: ['phone_number'],
+        raw: true
+      });
+      return leads.map(lead => lead.phone_number);
+    } catch (error) {
+      logger.error('Error finding campaign lead numbers in database:', error);
+      return null;
+    }
+  },
+
+  async updateLead(id, updateData) {
+    try {
+      const [updated] = await Lead.update(updateData, {
+        where: { id }
+      });
+      return updated > 0;
+    } catch (error) {
+      logger.error('Error updating lead in database:', error);
+      return false;
+    }
+  },
+
+  // Count leads per status plus how many were answered at least once
+  async getCampaignLeadCounts(campaign_id) {
+    try {
+      const rows = await Lead.findAll({
+        where: { campaign_id },
+        attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        group: ['status'],
+        raw: true
+      });
+      const counts = {};
+      rows.forEach(row => { counts[row.status] = parseInt(row.count, 10); });
+      const answered = await Lead.count({
+        where: { campaign_id, answered_at: { [Sequelize.Op.ne]: null } }
+      });
+      return { byStatus: counts, answered };
+    } catch (error) {
+      logger.error('Error counting campaign leads in database:', error);
+      return null;
+    }
+  },
+
+  // DNC lookups throw on error instead of returning an empty result, so a
+  // database outage can never make a suppressed number look dialable
+  async getDncEntry(phone_number) {
+    try {
+      return await DncEntry.findOne({ where: { phone_number } });
+    } catch (error) {
+      logger.error('Error getting DNC entry from database:', error);
+      throw error;
+    }
+  },
+
+  async findDncNumbers(phoneNumbers) {
+    try {
+      const entries = await DncEntry.findAll({
+        where: { phone_number: phoneNumbers },
+        attributes: ['phone_number'],
+        raw: true
+      });
+      return entries.map(entry => entry.phone_number);
+    } catch (error) {
+      logger.error('Error finding DNC numbers in database:', error);
+      throw error;
+    }
+  },
+
+  async listDncEntries(limit = 100, offset = 0) {
+    try {
+      return await DncEntry.findAndCountAll({
+        order: [['created_at', 'DESC']],
+        limit,
+        offset
+      });
+    } catch (error) {
+      logger.error('Error listing DNC entries from database:', error);
+      return null;
+    }
+  },
+
+  // Insert DNC entries, leaving existing numbers untouched
+  async addDncEntries(entries) {
+    try {
+      await DncEntry.bulkCreate(entries, { ignoreDuplicates: true });
+      return true;
+    } catch (error) {
+      logger.error('Error adding DNC entries to database:', error);
+      return false;
+    }
+  },
+
+  async removeDncEntry(phone_number) {
+    try {
+      const removed = await DncEntry.destroy({ where: { phone_number } });
+      return removed > 0;
+    } catch (error) {
+      logger.error('Error removing DNC entry from database:', error);
+      return false;
+    }
+  },
+
+  async createPhoneNumber(numberData) {
+    try {
+      return await PhoneNumber.create(numberData);
+    } catch (error) {
+      logger.error('Error creating phone number in database:', error);
+      return null;
+    }
+  },
+
+  async getPhoneNumber(id) {
+    try {
+      return await PhoneNumber.findByPk(id);
+    } catch (error) {
+      logger.error('Error getting phone number from database:', error);
+      return null;
+    }
+  },
+
+  async getPhoneNumberByNumber(phone_number) {
+    try {
+      return await PhoneNumber.findOne({ where: { phone_number } });
+    } catch (error) {
+      logger.error('Error getting phone number by number from database:', error);
+      return null;
+    }
+  },
+
+  async listPhoneNumbers(where = {}) {
+    try {
+      return await PhoneNumber.findAll({ where, order: [['created_at', 'ASC']] });
+    } catch (error) {
+      logger.error('Error listing phone numbers from database:', error);
+      return [];
+    }
+  },
+
+  async updatePhoneNumber(id, updateData) {
+    try {
+      const [updated] = await PhoneNumber.update(updateData, { where: { id } });
+      return updated > 0;
+    } catch (error) {
+      logger.error('Error updating phone number in database:', error);
+      return false;
+    }
+  },
+
+  async deletePhoneNumber(id) {
+    try {
+      const removed = await PhoneNumber.destroy({ where: { id } });
+      return removed > 0;
+    } catch (error) {
+      logger.error('Error deleting phone number from database:', error);
+      return false;
+    }
+  },
+
+  // Atomically bump usage counters (e.g. { calls_total: 1 }) for a pool number
+  async incrementPhoneNumberStats(phone_number, counters, updateData = {}) {
+    try {
+      await PhoneNumber.increment(counters, { where: { phone_number } });
+      if (Object.keys(updateData).length > 0) {
+        await PhoneNumber.update(updateData, { where: { phone_number } });
+      }
+      return true;
+    } catch (error) {
+      logger.error('Error updating phone number stats in database:', error);
+      return false;
+    }
+  },
+
+  async createApiKey(keyData) {
+    try {
+      return await ApiKey.create(keyData);
+    } catch (error) {
+      logger.error('Error creating API key in database:', error);
+      return null;
+    }
+  },
+
+  async getApiKey(id) {
+    try {
+      return await ApiKey.findByPk(id);
+    } catch (error) {
+      logger.error('Error getting API key from database:', error);
+      return null;
+    }
+  },
+
+  async getApiKeyByHash(key_hash) {
+    try {
+      return await ApiKey.findOne({ where: { key_hash } });
+    } catch (error) {
+      logger.error('Error getting API key by hash from database:', error);
+      return null;
+    }
+  },
+
+  async listApiKeys() {
+    try {
+      return await ApiKey.findAll({ order: [['created_at', 'DESC']] });
+    } catch (error) {
+      logger.error('Error listing API keys from database:', error);
+      return [];
+    }
+  },
+
+  async updateApiKey(id, updateData) {
+    try {
+      const [updated] = await ApiKey.update(updateData, { where: { id } });
+      return updated > 0;
+    } catch (error) {
+      logger.error('Error updating API key in database:', error);
+      return false;
+    }
+  },
+
+  async logApiKeyUsage(usageData) {
+    try {
+      await ApiKeyUsage.create(usageData);
+      return true;
+    } catch (error) {
+      logger.error('Error saving API key usage to database:', error);
+      return false;
+    }
+  },
+
+  async listApiKeyUsage(api_key_id, limit = 100, offset = 0) {
+    try {
+      return await ApiKeyUsage.findAll({
+        where: { api_key_id },
+        order: [['created_at', 'DESC']],
+        limit,
+        offset
+      });
+    } catch (error) {
+      logger.error('Error listing API key usage from database:', error);
+      return [];
+    }
+  },
+
+  // Previous calls with a number, inbound from it or outbound to it
+  async countCallsWithNumber(phone_number, excludeCallId = null) {
+    try {
+      const where = {
+        [Sequelize.Op.or]: [{ from_number: phone_number }, { to_number: phone_number }]
+      };
+      if (excludeCallId) {
+        where.call_id = { [Sequelize.Op.ne]: excludeCallId };
+      }
+      return await Call.count({ where });
+    } catch (error) {
+      logger.error('Error counting calls with number in database:', error);
+      return 0;
+    }
+  },
+
+  // Most recent calls with a number (newest first), with their transcripts
+  async getRecentCallsWithNumber(phone_number, limit = 5, excludeCallId = null) {
+    try {
+      const where = {
+        [Sequelize.Op.or]: [{ from_number: phone_number }, { to_number: phone_number }]
+      };
+      if (excludeCallId) {
+        where.call_id = { [Sequelize.Op.ne]: excludeCallId };
+      }
+      return await Call.findAll({
+        where,
+        include: [{ model: Message, as: 'messages', separate: true, order: [['timestamp', 'ASC']] }],
+        order: [['start_time', 'DESC']],
+        limit
+      });
+    } catch (error) {
+      logger.error('Error getting recent calls with number from database:', error);
+      return [];
+    }
+  },
+
+  // Most recently added campaign lead for a number
+  async getLatestLeadByNumber(phone_number) {
+    try {
+      return await Lead.findOne({ where: { phone_number }, order: [['created_at', 'DESC']] });
+    } catch (error) {
+      logger.error('Error getting lead by number from database:', error);
+      return null;
+    }
+  },
+
+  async createRoutingRule(ruleData) {
+    try {
+      return await RoutingRule.create(ruleData);
+    } catch (error) {
+      logger.error('Error creating routing rule in database:', error);
+      return null;
+    }
+  },
+
+  async getRoutingRule(id) {
+    try {
+      return await RoutingRule.findByPk(id);
+    } catch (error) {
+      logger.error('Error getting routing rule from database:', error);
+      return null;
+    }
+  },
+
+  async listRoutingRules(where = {}) {
+    try {
+      return await RoutingRule.findAll({ where, order: [['priority', 'ASC'], ['created_at', 'ASC']] });
+    } catch (error) {
+      logger.error('Error listing routing rules from database:', error);
+      return [];
+    }
+  },
+
+  async updateRoutingRule(id, updateData) {
+    try {
+      const [updated] = await RoutingRule.update(updateData, { where: { id } });
+      return updated > 0;
+    } catch (error) {
+      logger.error('Error updating routing rule in database:', error);
+      return false;
+    }
+  },
+
+  async deleteRoutingRule(id) {
+    try {
+      const removed = await RoutingRule.destroy({ where: { id } });
+      return removed > 0;
+    } catch (error) {
+      logger.error('Error deleting routing rule from database:', error);
+      return false;
+    }
   }
 };
 
-module.exports = { sequelize, Call, Message, dbService }; 
\ No newline at end of file
+module.exports = { sequelize, Call, Message, Campaign, Lead, DncEntry, PhoneNumber, ApiKey, ApiKeyUsage, RoutingRule, dbService }; 
\ No newline at end of file
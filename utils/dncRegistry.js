@@ -0,0 +1,160 @@
+/**
+ * Do-Not-Call Registry
+ *
+ * Wraps the dnc_entries table with number normalization, bulk import
+ * reporting, and automatic suppression of callers who opt out during a call.
+ */
+
+const logger = require('./logger');
+const { dbService } = require('./dbClient');
+const { normalizePhoneNumber } = require('./phoneNumbers');
+const { parsePhrases, containsPhrase } = require('./transcriptPhrases');
+
+// Dispositions that must result in the number being suppressed
+const OPT_OUT_DISPOSITIONS = ['opt_out'];
+
+// Phrases in a user transcript that count as an opt-out request. Each must
+// appear as whole words, and they are specific enough that scheduling requests
+// ("don't call me before noon") do not match.
+const OPT_OUT_PHRASES = parsePhrases(process.env.DNC_OPT_OUT_PHRASES ||
+  "do not call me again,don't call me again,never call me again,stop calling me,stop calling this number," +
+  'remove me from your list,take me off your list,put me on your do not call list,add me to your do not call list');
+
+/**
+ * Check whether a number is on the DNC list
+ * @param {string} phoneNumber - Number in any common format
+ * @returns {Promise<boolean>}
+ * @throws If the DNC list cannot be read; callers must not dial in that case
+ */
+async function isSuppressed(phoneNumber) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized) {
+    return false;
+  }
+  const entry = await dbService.getDncEntry(normalized);
+  return Boolean(entry);
+}
+
+/**
+ * Add a single number to the DNC list
+ * @param {string} phoneNumber - Number in any common format
+ * @param {Object} [options] - { reason, source, callId }
+ * @returns {Promise<string|null>} - The normalized number, or null if invalid or not saved
+ */
+async function addNumber(phoneNumber, { reason = null, source = 'api', callId = null } = {}) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized) {
+    return null;
+  }
+  const saved = await dbService.addDncEntries([{
+    phone_number: normalized,
+    reason,
+    source,
+    call_id: callId
+  }]);
+  if (!saved) {
+    return null;
+  }
+  logger.info(`[DNC] Added ${normalized} (source: ${source})`);
+  return normalized;
+}
+
+/**
+ * Remove a number from the DNC list
+ * @param {string} phoneNumber - Number in any common format
+ * @returns {Promise<boolean>} - True if an entry was removed
+ */
+async function removeNumber(phoneNumber) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized) {
+    return false;
+  }
+  const removed = await dbService.removeDncEntry(normalized);
+  if (removed) {
+    logger.info(`[DNC] Removed ${normalized}`);
+  }
+  return removed;
+}
+
+/**
+ * Bulk import numbers, reporting which ones were invalid or already listed
+ * @param {Array<string|Object>} items - Numbers, or { phoneNumber, reason } objects
+ * @param {string} [source] - Source recorded on new entries
+ * @returns {Promise<Object|null>} - { added, alreadyListed, invalid } or null on DB failure
+ * @throws If the DNC list cannot be read
+ */
+async function importNumbers(items, source = 'import') {
+  const invalid = [];
+  const entries = new Map(); // normalized -> entry, de-duplicates within the batch
+
+  items.forEach((item, index) => {
+    const raw = typeof item === 'string' ? item : item && item.phoneNumber;
+    const normalized = normalizePhoneNumber(raw);
+    if (!normalized) {
+      invalid.push({ index, phoneNumber: raw || null, error: 'Invalid phone number' });
+      return;
+    }
+    if (!entries.has(normalized)) {
+      entries.set(normalized, {
+        phone_number: normalized,
+        reason: (item && item.reason) || null,
+        source
+      });
+    }
+  });
+
+  const numbers = Array.from(entries.keys());
+  const existing = numbers.length > 0 ? await dbService.findDncNumbers(numbers) : [];
+
+  const toAdd = numbers.filter(number => !existing.includes(number)).map(number => entries.get(number));
+  if (toAdd.length > 0) {
+    const saved = await dbService.addDncEntries(toAdd);
+    if (!saved) {
+      return null;
+    }
+  }
+
+  logger.info(`[DNC] Imported ${toAdd.length} numbers (${existing.length} already listed, ${invalid.length} invalid)`);
+  return { added: toAdd.length, alreadyListed: existing.length, invalid };
+}
+
+/**
+ * Detect an opt-out request in a user transcript
+ * @param {string} text - Transcript text
+ * @returns {boolean}
+ */
+function isOptOutRequest(text) {
+  if (!text) {
+    return false;
+  }
+  return containsPhrase(text, OPT_OUT_PHRASES);
+}
+
+/**
+ * Suppress the called number when a call ended with an opt-out disposition
+ * @param {string} disposition - The call's disposition
+ * @param {string} phoneNumber - The lead's number
+ * @param {string} [callId] - External call ID, kept for auditing
+ * @returns {Promise<boolean>} - True if the number was added
+ */
+async function applyDisposition(disposition, phoneNumber, callId = null) {
+  if (!OPT_OUT_DISPOSITIONS.includes(disposition)) {
+    return false;
+  }
+  const added = await addNumber(phoneNumber, {
+    reason: `Opt-out during call (${disposition})`,
+    source: 'opt_out',
+    callId
+  });
+  return Boolean(added);
+}
+
+module.exports = {
+  OPT_OUT_DISPOSITIONS,
+  isSuppressed,
+  addNumber,
+  removeNumber,
+  importNumbers,
+  isOptOutRequest,
+  applyDisposition
+};
@@ -105,6 +105,8 @@ class ElevenLabsWebSocketClient extends EventEmitter {
    * @param {Function} [onCloseCallback] - Optional: Function to call when WebSocket closes definitively
    * @param {Function} [onReconnectingCallback] - Optional: Function to call when attempting to reconnect
    * @param {string} [customSessionId] - Optional: Use a specific session ID instead of generating one
+   * @param {Object} [options] - Optional: { dynamicVariables, conversationConfigOverride } sent as
+   *   conversation_initiation_client_data on every (re)connect
    * @returns {string} - The unique session ID
    */
   async startConversation(
@@ -113,7 +115,8 @@ class ElevenLabsWebSocketClient extends EventEmitter {
     onErrorCallback, // Keep callbacks for potential specific logging/handling
     onCloseCallback,
     onReconnectingCallback,
-    customSessionId = null
+    customSessionId = null,
+    options = {}
   ) {
     const wsUrl = `wss://api.elevenlabs.io/v1/convai/conversation?agent_id=${agentId}`;
     // Use provided customSessionId if available, otherwise generate one
@@ -138,6 +141,9 @@ class ElevenLabsWebSocketClient extends EventEmitter {
       pongTimeoutTimer: null,
       reconnectAttempts: 0,
       wsUrl: wsUrl, // Store URL for reconnections
+      // Per-call personalization, kept so reconnects start the same conversation
+      dynamicVariables: options.dynamicVariables || null,
+      conversationConfigOverride: options.conversationConfigOverride || null,
       processId: process.pid, // Store the process ID that created this session
       connectionStartTime: Date.now() // Add timestamp for connection tracking
     };
@@ -202,6 +208,19 @@ class ElevenLabsWebSocketClient extends EventEmitter {
         ws.send(JSON.stringify(initMessage));
         logger.info(`[${sessionId}] Sent conversation_initiation with explicit audio_format=ulaw, sample_rate_hz=8000, and encoding=audio/x-mulaw`);
 
+        // Per-call dynamic variables and prompt / first-message overrides
+        if (session.dynamicVariables || session.conversationConfigOverride) {
+          const clientData = { type: 'conversation_initiation_client_data' };
+          if (session.dynamicVariables) {
+            clientData.dynamic_variables = session.dynamicVariables;
+          }
+          if (session.conversationConfigOverride) {
+            clientData.conversation_config_override = session.conversationConfigOverride;
+          }
+          ws.send(JSON.stringify(clientData));
+          logger.info(`[${sessionId}] Sent conversation_initiation_client_data (${Object.keys(session.dynamicVariables || {}).length} dynamic variables)`);
+        }
+
         this._startHeartbeat(sessionId); // Start heartbeat mechanism
 
         // Update Redis ownership with new TTL
@@ -507,6 +526,19 @@ class ElevenLabsWebSocketClient extends EventEmitter {
       });
   }
 
+  /**
+   * Send background information to the agent without interrupting the conversation
+   * @param {string} sessionId - The ID of the session
+   * @param {string} text - Context for the agent (e.g. keys the caller pressed)
+   * @returns {boolean} - Whether the update was sent
+   */
+  sendContextualUpdate(sessionId, text) {
+    return this.sendMessage(sessionId, {
+      type: 'contextual_update',
+      text: text
+    });
+  }
+
   /**
    * End a specific conversation session
    * @param {string} sessionId - The ID of the session to end
@@ -859,6 +891,9 @@ class ElevenLabsWebSocketClient extends EventEmitter {
             
             // Forward the audio to ElevenLabs
             this.sendAudioChunk(sessionId, data.audioBase64);
+          } else if (data.contextualUpdate) {
+            logger.info(`[${sessionId}] Received contextual update from process ${data.sourceProcess || 'unknown'} via Redis`);
+            this.sendContextualUpdate(sessionId, data.contextualUpdate);
           }
         } catch (error) {
           logger.error(`[${sessionId}] Error processing Twilio audio from Redis:`, error);
@@ -922,8 +957,8 @@ class ElevenLabsWebSocketClient extends EventEmitter {
       // Session data found - log and proceed
       logger.info(`${logPrefix} [DEBUG] Session data found in Redis after ${retryCount} retries: ${JSON.stringify(sessionData)}`);
       
-      // Check if voice ID is configured
-      const voiceId = this.voiceId || process.env.ELEVENLABS_VOICE_ID;
+      // Check if voice ID is configured (per-call voice from the session, then the default)
+      const voiceId = sessionData.voiceId || this.voiceId || process.env.ELEVENLABS_VOICE_ID;
       if (!voiceId) {
         logger.error(`${logPrefix} [DEBUG] No voice ID configured for speech synthesis`);
         return false;
@@ -942,7 +977,7 @@ class ElevenLabsWebSocketClient extends EventEmitter {
       // Request parameters optimized for Twilio voice
       const requestData = {
         text: text,
-        model_id: "eleven_monolingual_v1",
+        model_id: sessionData.modelId || "eleven_monolingual_v1",
         voice_settings: {
           stability: 0.5,
           similarity_boost: 0.75,
@@ -6,7 +6,8 @@
  */
 
 const logger = require('./logger');
-const { publishRedisMessage, getRedisClient } = require('./redisClient');
+const { publishRedisMessage, getRedisClient, sessionManager } = require('./redisClient');
+const dncRegistry = require('./dncRegistry');
 // Standardize on a clearer prefix name that indicates this is for ElevenLabs audio going to Twilio
 const AUDIO_CHANNEL_PREFIX = 'elevenlabs-to-twilio:';
 
@@ -66,6 +67,19 @@ async function handleElevenLabsMessage(sessionId, message) {
       // Handle user transcript - useful for debugging but no audio processing needed
       const transcript = message.user_transcript_event?.text || message.transcript || '';
       logger.info(`${logPrefix} User transcript: "${transcript}"`);
+      if (transcript) {
+        await sessionManager.addOutboundMessage(sessionId, 'user', transcript);
+      }
+
+      // Flag opt-out requests so the number is suppressed when the call ends
+      if (dncRegistry.isOptOutRequest(transcript)) {
+        await markOptOut(sessionId);
+      } else if (callTransfer().isTransferRequest(transcript)) {
+        await requestTransfer(sessionId, { trigger: 'keyword', reason: `Caller said: "${transcript}"` });
+      }
+    } else if (messageType === 'client_tool_call') {
+      // Tools the agent can invoke mid-call (configured as client tools in ElevenLabs)
+      await handleClientToolCall(sessionId, message);
     } else {
       logger.info(`${logPrefix} Received message of type ${messageType} (not processed)`);
     }
@@ -75,6 +89,81 @@ async function handleElevenLabsMessage(sessionId, message) {
   }
 }
 
+/**
+ * Record an opt-out disposition on the outbound session in Redis.
+ * The status callback applies it (DNC entry + Call record) once the call ends.
+ * @param {string} sessionId - The session ID
+ */
+async function markOptOut(sessionId) {
+  const logPrefix = `[${sessionId}]`;
+  const callInfo = await sessionManager.getOutboundSession(sessionId);
+  if (!callInfo) {
+    logger.warn(`${logPrefix} Opt-out detected but no outbound session found in Redis`);
+    return;
+  }
+  if (callInfo.disposition !== 'opt_out') {
+    await sessionManager.saveOutboundSession(sessionId, { ...callInfo, disposition: 'opt_out' });
+    logger.info(`${logPrefix} Caller asked not to be called again. Disposition set to opt_out.`);
+  }
+}
+
+/**
+ * Lazily load the transfer module (it requires elevenlabsClient, which requires this module)
+ * @returns {Object}
+ */
+function callTransfer() {
+  return require('./callTransfer');
+}
+
+/**
+ * Hand the call to a human rep, logging instead of throwing on failure
+ * @param {string} sessionId - The session ID
+ * @param {object} options - { trigger, reason, target }
+ * @returns {Promise<Object>} - Result of callTransfer.transferCall
+ */
+async function requestTransfer(sessionId, options) {
+  const logPrefix = `[${sessionId}]`;
+  const result = await callTransfer().transferCall(sessionId, options);
+  if (result.error) {
+    logger.warn(`${logPrefix} Transfer (${options.trigger}) not performed: ${result.error}`);
+  }
+  return result;
+}
+
+/**
+ * Handle client tool calls from the agent
+ * @param {string} sessionId - The session ID
+ * @param {object} message - The client_tool_call message
+ */
+async function handleClientToolCall(sessionId, message) {
+  const logPrefix = `[${sessionId}]`;
+  const { tool_name: toolName, tool_call_id: toolCallId, parameters = {} } = message.client_tool_call || {};
+  const elevenlabs = require('./elevenlabsClient');
+
+  if (toolName !== callTransfer().TRANSFER_TOOL_NAME) {
+    logger.warn(`${logPrefix} Unknown client tool "${toolName}"`);
+    elevenlabs.sendMessage(sessionId, {
+      type: 'client_tool_result',
+      tool_call_id: toolCallId,
+      result: `Unknown tool: ${toolName}`,
+      is_error: true
+    });
+    return;
+  }
+
+  // Validate before answering the agent; the transfer itself ends the conversation
+  const { error } = callTransfer().resolveTarget(parameters.target);
+  elevenlabs.sendMessage(sessionId, {
+    type: 'client_tool_result',
+    tool_call_id: toolCallId,
+    result: error || 'Transferring the caller to a human representative.',
+    is_error: !!error
+  });
+  if (!error) {
+    await requestTransfer(sessionId, { trigger: 'tool', reason: parameters.reason || null, target: parameters.target });
+  }
+}
+
 /**
  * Handle audio data from ElevenLabs
  * @param {string} sessionId - The session ID
@@ -220,6 +309,7 @@ async function handleAgentResponse(sessionId, message) {
     
     if (text) {
       logger.info(`${logPrefix} Agent text response: "${text}"`);
+      await sessionManager.addOutboundMessage(sessionId, 'agent', text);
     } else {
       logger.warn(`${logPrefix} [DEBUG] No text found in agent_response message - this could indicate a configuration issue`);
       logger.warn(`${logPrefix} [DEBUG] Message keys: ${keys}`);
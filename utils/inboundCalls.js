@@ -0,0 +1,289 @@
+/**
+ * Inbound Call Sessions
+ *
+ * Shared lifecycle for inbound support calls, whichever provider delivers them:
+ * - OpenPhone webhooks (/api/inbound/call, /voice, /hangup)
+ * - Twilio voice webhooks (/api/inbound/twilio/voice), whose audio flows through
+ *   the same media-stream bridge as outbound calls
+ *
+ * Each call has an inbound session in Redis keyed by the provider's call ID, a
+ * reverse mapping from the ElevenLabs session ID, and a Call record. The agent's
+ * conversation is collected in Redis and saved as Message rows when the call ends.
+ */
+
+const logger = require('./logger');
+const elevenlabs = require('./elevenlabsClient');
+const { sessionManager } = require('./redisClient');
+const { dbService } = require('./dbClient');
+const inboundRouting = require('./inboundRouting');
+const callerContext = require('./callerContext');
+const inboundCapacity = require('./inboundCapacity');
+const voicemailCapture = require('./voicemailCapture');
+
+/**
+ * Lazily load the outbound handlers (they pull in elevenlabsClient's dependents)
+ * @returns {Object}
+ */
+function elevenlabsHandlers() {
+  return require('./elevenlabsHandlers');
+}
+
+// Record an agent connection status change on the Redis session and the Call record.
+// A call that has already been hung up keeps its final status, and a caller who
+// is leaving a voicemail stays in voicemail.
+async function updateInboundStatus(callId, status, details = {}) {
+  const callSession = await sessionManager.getInboundSession(callId);
+  if (callSession && callSession.status === 'voicemail') {
+    return;
+  }
+  await sessionManager.updateInboundCallStatus(callId, status, details);
+
+  const call = await dbService.getCallByExternalId(callId);
+  if (!call || call.status === 'completed') {
+    return;
+  }
+  await dbService.mergeCallData(call.id, {
+    agentConnection: { status, ...details, updatedAt: new Date().toISOString() }
+  }, { status });
+}
+
+// --- Callbacks for Inbound ElevenLabs Sessions ---
+
+async function handleElevenLabsMessageInbound(sessionId, message) {
+  logger.debug(`[${sessionId}] Inbound ElevenLabs Message: ${message.type}`);
+
+  // Agent audio is published to the channel the media-stream bridge listens on
+  if (message.type === 'audio') {
+    await elevenlabsHandlers().handleElevenLabsMessage(sessionId, message);
+    return;
+  }
+  if (!['user_transcript', 'agent_response', 'conversation_initiation_metadata'].includes(message.type)) {
+    return;
+  }
+  const callId = await sessionManager.getCallIdForSession(sessionId);
+  if (!callId) {
+    logger.error(`[${sessionId}] Cannot find callId for inbound message.`);
+    return;
+  }
+
+  if (message.type === 'conversation_initiation_metadata') {
+    // Sent on every (re)connect; clears an earlier error or reconnecting status
+    const callSession = await sessionManager.getInboundSession(callId);
+    if (callSession && callSession.status !== 'active') {
+      logger.info(`[${sessionId}] Inbound ElevenLabs session reconnected for call ${callId}.`);
+      await updateInboundStatus(callId, 'active');
+    }
+    return;
+  }
+
+  const role = message.type === 'user_transcript' ? 'user' : 'agent';
+  const text = role === 'user'
+    ? message.user_transcript_event?.text
+    : message.agent_response_event?.agent_response;
+  if (!text || !text.trim()) {
+    return;
+  }
+  await sessionManager.addInboundMessage(callId, { role, text: text.trim(), timestamp: new Date().toISOString() });
+}
+
+async function handleElevenLabsErrorInbound(sessionId, error) {
+  logger.error(`[${sessionId}] Inbound ElevenLabs Error:`, error.message);
+  const callId = await sessionManager.getCallIdForSession(sessionId);
+  if (callId) {
+    await updateInboundStatus(callId, 'error', { error: error.message });
+  }
+}
+
+async function handleElevenLabsCloseInbound(sessionId, code, reason) {
+  logger.warn(`[${sessionId}] Inbound ElevenLabs Connection Closed: ${code} ${reason}`);
+  // The mapping is removed when the call ends, so this only finds calls still in progress
+  const callId = await sessionManager.getCallIdForSession(sessionId);
+  if (callId) {
+    const status = code === 1000 ? 'closed' : 'disconnected';
+    await updateInboundStatus(callId, status, { closeCode: code, closeReason: reason });
+  }
+}
+
+async function handleElevenLabsReconnectingInbound(sessionId, attempt, delay) {
+  logger.warn(`[${sessionId}] Inbound ElevenLabs Reconnecting (Attempt ${attempt}, Delay ${delay}ms)`);
+  const callId = await sessionManager.getCallIdForSession(sessionId);
+  if (callId) {
+    await updateInboundStatus(callId, 'reconnecting', { reconnectAttempt: attempt });
+  }
+}
+
+/**
+ * Start the agent conversation for an inbound call and record the call
+ * @param {Object} options
+ * @param {string} options.callId - Provider call ID (OpenPhone callId or Twilio CallSid)
+ * @param {string} options.from - Caller number
+ * @param {string} options.to - Number that was called
+ * @param {string} options.provider - 'openphone' or 'twilio'
+ * @param {string} [options.sessionId] - ElevenLabs session ID to use (generated if omitted)
+ * @returns {Promise<string>} - The ElevenLabs session ID
+ */
+async function startInboundCall({ callId, from, to, provider, sessionId = null }) {
+  const logPrefix = `[${callId}]`;
+
+  // The routing rules pick the agent from the dialed number, business hours and caller history
+  const route = await inboundRouting.selectRoute({ to, from, callId });
+
+  // Earlier calls and lead data for the caller, so the agent does not start cold
+  const context = await callerContext.buildCallerContext(from, { excludeCallId: callId });
+
+  // Resolves with the sessionId as soon as the connection attempt starts
+  const elevenLabsSessionId = await elevenlabs.startConversation(
+    route.agentId,
+    handleElevenLabsMessageInbound,
+    handleElevenLabsErrorInbound,
+    handleElevenLabsCloseInbound,
+    handleElevenLabsReconnectingInbound,
+    sessionId,
+    { dynamicVariables: context }
+  );
+  logger.info(`${logPrefix} Initiated ElevenLabs session: ${elevenLabsSessionId} with agent ${route.agentId}. Connection pending.`);
+
+  const startTime = new Date();
+  const sessionData = {
+    sessionId: elevenLabsSessionId,
+    callSid: provider === 'twilio' ? callId : null,
+    from,
+    to,
+    provider,
+    startTime: startTime.toISOString(),
+    status: 'active' // Initial status for the *call* session
+  };
+
+  // Store in Redis, mapping the provider call ID to the ElevenLabs session (and back, for callbacks)
+  await sessionManager.saveInboundSession(callId, sessionData);
+  await sessionManager.saveSessionToCallIdMapping(elevenLabsSessionId, callId);
+
+  // Upsert handles duplicate webhook deliveries
+  await dbService.upsertCallByExternalId(callId, {
+    call_id: callId,
+    session_id: elevenLabsSessionId,
+    direction: 'inbound',
+    from_number: from,
+    to_number: to,
+    start_time: startTime,
+    status: 'active',
+    call_data: {
+      provider,
+      routing: inboundRouting.describeRoute(route),
+      callerKnown: !!context.caller_known
+    }
+  });
+
+  logger.info(`${logPrefix} Associated with ElevenLabs session ${elevenLabsSessionId}`);
+  return elevenLabsSessionId;
+}
+
+/**
+ * Inbound session for a media stream, looked up by ElevenLabs session ID
+ * @param {string} sessionId - ElevenLabs session ID from the stream URL
+ * @returns {Promise<Object|null>} - The inbound session plus its callId
+ */
+async function getStreamCallInfo(sessionId) {
+  const callId = await sessionManager.getCallIdForSession(sessionId);
+  if (!callId) {
+    return null;
+  }
+  const callSession = await sessionManager.getInboundSession(callId);
+  return callSession ? { ...callSession, callId } : null;
+}
+
+/**
+ * End an inbound call: close the agent session, save the transcript, complete
+ * the Call record and remove the Redis state
+ * @param {string} callId - Provider call ID
+ * @returns {Promise<{ found: boolean, saved: boolean }>} - saved is false when the
+ *   transcript could not be stored; the Redis state is then kept so the caller can retry
+ */
+async function completeInboundCall(callId) {
+  const logPrefix = `[${callId}]`;
+
+  // The agent is done with the call, whatever happens to the transcript
+  await inboundCapacity.releaseSlot(callId);
+
+  const callSession = await sessionManager.getInboundSession(callId);
+  if (!callSession) {
+    return { found: false, saved: false };
+  }
+
+  const elevenLabsSessionId = callSession.sessionId;
+  if (elevenLabsSessionId) {
+    logger.info(`${logPrefix} Call ended. Closing ElevenLabs session ${elevenLabsSessionId}`);
+    try {
+      await elevenlabs.endConversation(elevenLabsSessionId);
+    } catch (elevenError) {
+      // Log error but continue cleanup
+      logger.error(`${logPrefix} Error explicitly ending ElevenLabs session ${elevenLabsSessionId}:`, elevenError);
+    }
+    await sessionManager.deleteSessionToCallIdMapping(elevenLabsSessionId);
+  } else {
+    logger.warn(`${logPrefix} No ElevenLabs session ID found associated with call.`);
+  }
+
+  const call = await dbService.getCallByExternalId(callId);
+  if (call) {
+    const endTime = new Date();
+    const duration = call.start_time ? Math.floor((endTime - new Date(call.start_time)) / 1000) : null;
+
+    // Flush the conversation transcript before the Redis copy is removed
+    const messages = await sessionManager.getInboundMessages(callId);
+    if (messages.length > 0) {
+      const saved = await dbService.saveMessages(messages.map(message => ({
+        call_id: call.id,
+        role: message.role,
+        text: message.text,
+        timestamp: message.timestamp
+      })));
+      if (!saved) {
+        logger.error(`${logPrefix} Failed to save ${messages.length} transcript messages for call ${call.id}.`);
+        return { found: true, saved: false };
+      }
+      logger.info(`${logPrefix} Saved ${messages.length} transcript messages for call ${call.id}.`);
+    }
+
+    if (callSession.status === 'voicemail') {
+      // What the caller said after the agent dropped out is their message
+      const voicemailText = messages
+        .filter(message => message.role === 'user' && message.timestamp >= callSession.voicemailStartedAt)
+        .map(message => message.text)
+        .join(' ');
+      await dbService.updateCall(call.id, { end_time: endTime, duration });
+      await voicemailCapture.saveVoicemail({
+        callId,
+        from: callSession.from,
+        to: callSession.to,
+        provider: callSession.provider,
+        transcription: voicemailText || null,
+        transcriber: callSession.provider,
+        saveTranscript: false
+      });
+    } else {
+      await dbService.updateCall(call.id, {
+        end_time: endTime,
+        duration,
+        status: 'completed'
+      });
+      logger.info(`${logPrefix} Updated call record ${call.id} in DB to completed.`);
+    }
+  } else {
+    logger.warn(`${logPrefix} DB record not found for call while completing it.`);
+  }
+
+  await sessionManager.deleteInboundSession(callId);
+  logger.info(`${logPrefix} Removed inbound session data from Redis.`);
+  return { found: true, saved: true };
+}
+
+module.exports = {
+  handleElevenLabsMessageInbound,
+  handleElevenLabsErrorInbound,
+  handleElevenLabsCloseInbound,
+  handleElevenLabsReconnectingInbound,
+  startInboundCall,
+  getStreamCallInfo,
+  completeInboundCall
+};
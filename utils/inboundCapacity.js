@@ -0,0 +1,247 @@
+/**
+ * Inbound Capacity and Hold Queue
+ *
+ * Caps the number of inbound calls talking to an agent at once
+ * (INBOUND_MAX_CONCURRENT_SESSIONS, 0 for no limit). Each call holds a slot in
+ * a Redis sorted set, scored by when its lease expires so a call whose cleanup
+ * never ran cannot keep its slot forever. Slots are released when the call
+ * is completed.
+ *
+ * Twilio callers over the limit wait in a hold queue: they hear their position
+ * in line and the hold audio, then Twilio redirects back to the hold route,
+ * which connects them once a slot is free. The longest-waiting caller gets the
+ * next free slot. After INBOUND_HOLD_MAX_WAIT_SECONDS the caller is offered a
+ * callback; pressing 1 queues an outbound call to their number and ends the call.
+ * Callers who hang up while on hold drop out of the queue when their hold
+ * redirects stop (INBOUND_HOLD_STALE_SECONDS).
+ *
+ * OpenPhone calls have no hold audio: over the limit they are not answered by the agent.
+ */
+
+const twilio = require('twilio');
+const logger = require('./logger');
+const { redisClient } = require('./redisClient');
+const { outboundCallQueue } = require('./outboundQueue');
+const inboundRouting = require('./inboundRouting');
+const voiceSelection = require('./voiceSelection');
+const callerIdPool = require('./callerIdPool');
+
+const MAX_SESSIONS = parseInt(process.env.INBOUND_MAX_CONCURRENT_SESSIONS, 10) || 0;
+const SLOT_LEASE_MS = (parseInt(process.env.INBOUND_SESSION_LEASE_SECONDS, 10) || 3600) * 1000;
+const MAX_WAIT_MS = (parseInt(process.env.INBOUND_HOLD_MAX_WAIT_SECONDS, 10) || 120) * 1000;
+const STALE_MS = (parseInt(process.env.INBOUND_HOLD_STALE_SECONDS, 10) || 180) * 1000;
+const HOLD_AUDIO_URL = process.env.INBOUND_HOLD_AUDIO_URL ||
+  'http://com.twilio.music.classical.s3.amazonaws.com/BusyStrings.mp3';
+const CALLBACK_FIRST_MESSAGE = process.env.INBOUND_CALLBACK_FIRST_MESSAGE ||
+  'Hi, this is the support team calling you back, as you asked when you called us earlier. How can I help?';
+
+const SLOTS_KEY = 'inbound_agent_slots';
+const HOLD_QUEUE_KEY = 'inbound_hold_queue'; // callId -> time the caller joined the queue
+const HOLD_PREFIX = 'inbound_hold:'; // Per-caller hold state
+
+// Take a slot if one is free and no caller who has waited longer is still waiting for it
+// KEYS: slots, hold queue. ARGV: callId, max sessions, now, lease expiry
+const ACQUIRE_SCRIPT = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[3])
+if redis.call('ZSCORE', KEYS[1], ARGV[1]) then
+  return 1
+end
+local free = tonumber(ARGV[2]) - redis.call('ZCARD', KEYS[1])
+if free <= 0 then
+  return 0
+end
+local ahead = redis.call('ZRANK', KEYS[2], ARGV[1])
+if not ahead then
+  ahead = redis.call('ZCARD', KEYS[2])
+end
+if ahead >= free then
+  return 0
+end
+redis.call('ZADD', KEYS[1], ARGV[4], ARGV[1])
+redis.call('ZREM', KEYS[2], ARGV[1])
+return 1
+`;
+
+function httpBase() {
+  return (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+}
+
+/**
+ * Take an agent slot for a call
+ * @param {string} callId - Provider call ID
+ * @returns {Promise<boolean>} - False when the call has to wait; true when there is no limit
+ *   or Redis is unavailable
+ */
+async function acquireSlot(callId) {
+  if (!MAX_SESSIONS) {
+    return true;
+  }
+  const now = Date.now();
+  try {
+    const acquired = await redisClient.eval(ACQUIRE_SCRIPT, {
+      keys: [SLOTS_KEY, HOLD_QUEUE_KEY],
+      arguments: [callId, String(MAX_SESSIONS), String(now), String(now + SLOT_LEASE_MS)]
+    });
+    return acquired === 1;
+  } catch (error) {
+    logger.error(`[${callId}] Error acquiring inbound agent slot, allowing the call:`, error);
+    return true;
+  }
+}
+
+/**
+ * Give a call's agent slot back
+ * @param {string} callId - Provider call ID
+ */
+async function releaseSlot(callId) {
+  if (!MAX_SESSIONS) {
+    return;
+  }
+  try {
+    if (await redisClient.zRem(SLOTS_KEY, callId)) {
+      logger.info(`[${callId}] Released inbound agent slot.`);
+    }
+  } catch (error) {
+    logger.error(`[${callId}] Error releasing inbound agent slot:`, error);
+  }
+}
+
+async function getHoldState(callId) {
+  const data = await redisClient.get(`${HOLD_PREFIX}${callId}`);
+  return data ? JSON.parse(data) : null;
+}
+
+async function saveHoldState(callId, state) {
+  await redisClient.set(`${HOLD_PREFIX}${callId}`, JSON.stringify(state), { EX: Math.ceil(SLOT_LEASE_MS / 1000) });
+}
+
+/**
+ * Remove callers whose hold redirects have stopped (they hung up)
+ */
+async function pruneHoldQueue() {
+  const callIds = await redisClient.zRange(HOLD_QUEUE_KEY, 0, -1);
+  const now = Date.now();
+  for (const callId of callIds) {
+    const state = await getHoldState(callId);
+    if (!state || now - state.lastSeenAt > STALE_MS) {
+      await redisClient.zRem(HOLD_QUEUE_KEY, callId);
+      await redisClient.del(`${HOLD_PREFIX}${callId}`);
+      logger.info(`[${callId}] Removed caller who left the inbound hold queue.`);
+    }
+  }
+}
+
+/**
+ * Put a caller on hold (or refresh their place) and find their position in line
+ * @param {string} callId - Twilio CallSid
+ * @param {Object} call - { from, to }
+ * @returns {Promise<{ position: number, waitedMs: number, joined: boolean, state: Object }>}
+ */
+async function holdCaller(callId, { from, to }) {
+  const now = Date.now();
+  const existing = await getHoldState(callId);
+  const state = existing || { from, to, enqueuedAt: now, callbackOfferedAt: null };
+  state.lastSeenAt = now;
+  await saveHoldState(callId, state);
+  await redisClient.zAdd(HOLD_QUEUE_KEY, { score: state.enqueuedAt, value: callId }, { NX: true });
+  await pruneHoldQueue();
+
+  const rank = await redisClient.zRank(HOLD_QUEUE_KEY, callId);
+  return { position: (rank === null ? 0 : rank) + 1, waitedMs: now - state.enqueuedAt, joined: !existing, state };
+}
+
+/**
+ * Take a caller out of the hold queue
+ * @param {string} callId - Twilio CallSid
+ */
+async function leaveHoldQueue(callId) {
+  try {
+    await redisClient.zRem(HOLD_QUEUE_KEY, callId);
+    await redisClient.del(`${HOLD_PREFIX}${callId}`);
+  } catch (error) {
+    logger.error(`[${callId}] Error removing caller from the inbound hold queue:`, error);
+  }
+}
+
+/**
+ * TwiML for a caller waiting for an agent: a callback offer once they have waited
+ * too long, otherwise their position and the hold audio
+ * @param {string} callId - Twilio CallSid
+ * @param {Object} call - { from, to }
+ * @returns {Promise<string>}
+ */
+async function buildHoldTwiml(callId, { from, to }) {
+  const { position, waitedMs, joined, state } = await holdCaller(callId, { from, to });
+  const twiml = new twilio.twiml.VoiceResponse();
+  const holdUrl = `${httpBase()}/api/inbound/twilio/hold`;
+
+  // Offered once per wait period, so a caller who keeps holding is asked again later
+  const sinceOffer = Date.now() - (state.callbackOfferedAt || state.enqueuedAt);
+  if (waitedMs >= MAX_WAIT_MS && sinceOffer >= MAX_WAIT_MS) {
+    state.callbackOfferedAt = Date.now();
+    await saveHoldState(callId, state);
+    logger.info(`[${callId}] Offering a callback after ${Math.round(waitedMs / 1000)}s on hold (position ${position}).`);
+    const gather = twiml.gather({ numDigits: 1, timeout: 8, action: `${httpBase()}/api/inbound/twilio/callback` });
+    gather.say('Sorry for the wait. To hang up and have us call you back shortly, press 1. To keep holding, press 2.');
+    twiml.redirect(holdUrl);
+    return twiml.toString();
+  }
+
+  if (joined) {
+    twiml.say('Thanks for calling. All of our agents are busy helping other customers.');
+  }
+  twiml.say(position === 1
+    ? 'You are next in line. Please stay on the line.'
+    : `You are number ${position} in line. Please stay on the line.`);
+  twiml.play(HOLD_AUDIO_URL);
+  twiml.redirect(holdUrl);
+  logger.info(`[${callId}] Caller on hold at position ${position}.`);
+  return twiml.toString();
+}
+
+/**
+ * Queue an outbound call back to a caller who gave up their place on hold
+ * @param {string} callId - Twilio CallSid of the held call
+ * @param {Object} call - { from, to } of the held call
+ * @returns {Promise<string>} - The job ID
+ */
+async function requestCallback(callId, { from, to }) {
+  await leaveHoldQueue(callId);
+
+  // The same agent the caller would have reached, held to the allowlist /start enforces
+  const route = await inboundRouting.selectRoute({ to, from, callId });
+  let agentId = route.agentId || null;
+  const selectionError = voiceSelection.validateSelection({ agentId });
+  if (selectionError) {
+    logger.warn(`[${callId}] Routed agent cannot place outbound calls (${selectionError}). Using the default agent for the callback.`);
+    agentId = null;
+  }
+  // The call comes from the number they dialed if it is one of our pool numbers;
+  // otherwise the worker picks a caller ID
+  const callerId = await callerIdPool.isActiveNumber(to) ? to : null;
+
+  // Deterministic ID so a repeated keypress cannot queue two callbacks
+  const jobId = `callback-${callId}`;
+  const jobData = {
+    to: from,
+    from: callerId,
+    n8nWorkflowUrl: null,
+    variables: { callback_requested: true },
+    firstMessage: CALLBACK_FIRST_MESSAGE,
+    agentId,
+    jobId
+  };
+
+  await outboundCallQueue.add('initiate-call', jobData, { jobId });
+  logger.info(`[${callId}][Job ${jobId}] Caller on hold requested a callback. Queued an outbound call to ${from}.`);
+  return jobId;
+}
+
+module.exports = {
+  MAX_SESSIONS,
+  acquireSlot,
+  releaseSlot,
+  buildHoldTwiml,
+  leaveHoldQueue,
+  requestCallback
+};
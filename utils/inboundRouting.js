@@ -0,0 +1,200 @@
+/**
+ * Inbound Call Routing
+ *
+ * Picks the ElevenLabs agent for an inbound call from the routing rules in
+ * the database. Rules are evaluated by priority (lowest first) and the first
+ * enabled rule whose conditions all match wins:
+ *
+ *   to_numbers   The dialed number is one of these (e.g. sales vs support line)
+ *   hours_match  'open' during the rule's business hours, 'closed' outside them
+ *                and on holidays (e.g. an after-hours agent that takes messages)
+ *   caller_type  'new' for first-time callers, 'returning' for numbers with earlier calls
+ *
+ * Calls that match no rule go to the default ELEVENLABS_AGENT_ID.
+ */
+
+const logger = require('./logger');
+const { dbService } = require('./dbClient');
+const callingHours = require('./callingHours');
+const voiceSelection = require('./voiceSelection');
+const { normalizePhoneNumber } = require('./phoneNumbers');
+
+const HOURS_MATCH = ['any', 'open', 'closed'];
+const CALLER_TYPES = ['any', 'new', 'returning'];
+
+/**
+ * Validate a rule from the API and map it to model fields
+ * @param {Object} body - { name, agentId, priority, enabled, toNumbers, hours, hoursMatch, holidays, callerType }
+ * @param {boolean} [partial] - Only validate the fields present (updates)
+ * @returns {{ values?: Object, error?: string }}
+ */
+function validateRule(body = {}, partial = false) {
+  const values = {};
+  const present = field => body[field] !== undefined;
+
+  if (!partial || present('name')) {
+    if (!body.name || typeof body.name !== 'string') {
+      return { error: 'name is required' };
+    }
+    values.name = body.name;
+  }
+  if (!partial || present('agentId')) {
+    if (!body.agentId) {
+      return { error: 'agentId is required' };
+    }
+    const selectionError = voiceSelection.validateSelection({ agentId: body.agentId });
+    if (selectionError) {
+      return { error: selectionError };
+    }
+    values.agent_id = body.agentId;
+  }
+  if (present('priority')) {
+    if (!Number.isInteger(body.priority)) {
+      return { error: 'priority must be an integer' };
+    }
+    values.priority = body.priority;
+  }
+  if (present('enabled')) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: 'enabled must be a boolean' };
+    }
+    values.enabled = body.enabled;
+  }
+  if (present('toNumbers')) {
+    if (body.toNumbers === null) {
+      values.to_numbers = null;
+    } else if (!Array.isArray(body.toNumbers) || body.toNumbers.length === 0) {
+      return { error: 'toNumbers must be a non-empty array of phone numbers, or null for any number' };
+    } else {
+      const normalized = body.toNumbers.map(number => normalizePhoneNumber(number));
+      const invalidIndex = normalized.indexOf(null);
+      if (invalidIndex !== -1) {
+        return { error: `Invalid phone number in toNumbers: ${body.toNumbers[invalidIndex]}` };
+      }
+      values.to_numbers = normalized;
+    }
+  }
+  if (present('hours')) {
+    if (body.hours === null) {
+      values.hours = null;
+    } else {
+      const { timezone = callingHours.DEFAULT_TIMEZONE, start, end, days } = body.hours || {};
+      if (!callingHours.isValidTimezone(timezone)) {
+        return { error: `Unknown timezone: ${timezone}` };
+      }
+      if (!start || !end || !days) {
+        return { error: 'hours needs start, end and days' };
+      }
+      const { error } = callingHours.resolveWindow({ start, end, days });
+      if (error) {
+        return { error: error.replace('Calling window', 'hours') };
+      }
+      values.hours = { timezone, start, end, days };
+    }
+  }
+  if (present('hoursMatch')) {
+    if (!HOURS_MATCH.includes(body.hoursMatch)) {
+      return { error: `hoursMatch must be one of: ${HOURS_MATCH.join(', ')}` };
+    }
+    values.hours_match = body.hoursMatch;
+  }
+  if (present('holidays')) {
+    if (!Array.isArray(body.holidays) || body.holidays.some(day => !/^\d{4}-\d{2}-\d{2}$/.test(day))) {
+      return { error: 'holidays must be an array of YYYY-MM-DD dates' };
+    }
+    values.holidays = body.holidays;
+  }
+  if (present('callerType')) {
+    if (!CALLER_TYPES.includes(body.callerType)) {
+      return { error: `callerType must be one of: ${CALLER_TYPES.join(', ')}` };
+    }
+    values.caller_type = body.callerType;
+  }
+
+  return { values };
+}
+
+/**
+ * Whether a rule's business hours are open at a given time
+ * Rules without hours are always open, except on their holidays.
+ * @param {Object} rule - RoutingRule
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isOpen(rule, now) {
+  const timezone = (rule.hours && rule.hours.timezone) || callingHours.DEFAULT_TIMEZONE;
+  // en-CA formats dates as YYYY-MM-DD
+  const localDate = new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(now);
+  if ((rule.holidays || []).includes(localDate)) {
+    return false;
+  }
+  if (!rule.hours) {
+    return true;
+  }
+  const { window } = callingHours.resolveWindow(rule.hours);
+  return callingHours.getNextAllowedTime(timezone, window, now) === null;
+}
+
+/**
+ * Pick the agent for an inbound call
+ * @param {Object} call
+ * @param {string} call.to - Dialed number
+ * @param {string} call.from - Caller number
+ * @param {string} [call.callId] - Provider call ID (excluded from the caller's history)
+ * @param {Date} [call.now] - Time to evaluate business hours at
+ * @returns {Promise<{ agentId: string, rule: Object|null, businessHours: boolean|null }>}
+ */
+async function selectRoute({ to, from, callId = null, now = new Date() }) {
+  const dialed = normalizePhoneNumber(to) || to;
+  const rules = await dbService.listRoutingRules({ enabled: true });
+
+  // Only looked up when a rule depends on it
+  let previousCalls;
+  const isReturningCaller = async () => {
+    if (previousCalls === undefined) {
+      previousCalls = from ? await dbService.countCallsWithNumber(normalizePhoneNumber(from) || from, callId) : 0;
+    }
+    return previousCalls > 0;
+  };
+
+  for (const rule of rules) {
+    if (rule.to_numbers && !rule.to_numbers.includes(dialed)) {
+      continue;
+    }
+    const open = isOpen(rule, now);
+    if ((rule.hours_match === 'open' && !open) || (rule.hours_match === 'closed' && open)) {
+      continue;
+    }
+    if (rule.caller_type !== 'any' && (await isReturningCaller()) !== (rule.caller_type === 'returning')) {
+      continue;
+    }
+    logger.info(`[Routing] Call to ${dialed} from ${from} matched rule "${rule.name}" (${rule.id}) -> agent ${rule.agent_id}`);
+    return { agentId: rule.agent_id, rule, businessHours: open };
+  }
+
+  logger.info(`[Routing] Call to ${dialed} from ${from} matched no routing rule. Using the default agent.`);
+  return { agentId: voiceSelection.resolveSelection().agentId, rule: null, businessHours: null };
+}
+
+/**
+ * Routing details recorded on the Call's call_data
+ * @param {Object} route - Output of selectRoute()
+ * @returns {Object}
+ */
+function describeRoute(route) {
+  return {
+    ruleId: route.rule ? route.rule.id : null,
+    ruleName: route.rule ? route.rule.name : null,
+    agentId: route.agentId,
+    businessHours: route.businessHours
+  };
+}
+
+module.exports = {
+  HOURS_MATCH,
+  CALLER_TYPES,
+  validateRule,
+  isOpen,
+  selectRoute,
+  describeRoute
+};
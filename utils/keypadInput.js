@@ -0,0 +1,200 @@
+/**
+ * Keypad (DTMF) Input
+ *
+ * Twilio media streams send a `dtmf` event for each key the caller presses.
+ * Every key is logged in the call transcript (role 'dtmf') and passed to the
+ * agent as a contextual update, so it knows what the caller pressed. Keys are
+ * also collected into an entry per session and matched against the keypad
+ * rules in KEYPAD_RULES, a comma-separated list of <keys>:<action>:
+ *
+ *   0:transfer          Press 0 to be transferred to a human rep (outbound calls)
+ *   9:opt_out           Press 9 to be added to the DNC list
+ *   *:account_number    Press *, the account number, then # (e.g. *123456#)
+ *
+ * The first rule that matches wins and starts a new entry. An entry that
+ * matches no rule is dropped on # or after DTMF_ENTRY_TIMEOUT_SECONDS without
+ * a key press.
+ */
+
+const logger = require('./logger');
+const elevenlabs = require('./elevenlabsClient');
+const { sessionManager, publishRedisMessage } = require('./redisClient');
+const { dbService } = require('./dbClient');
+const dncRegistry = require('./dncRegistry');
+const callTransfer = require('./callTransfer');
+const { TWILIO_AUDIO_CHANNEL_PREFIX } = require('./elevenlabsHandlers');
+
+const ENTRY_TIMEOUT_MS = (parseInt(process.env.DTMF_ENTRY_TIMEOUT_SECONDS, 10) || 5) * 1000;
+
+// Actions whose keys are followed by a value the caller enters, terminated by #
+const VALUE_ACTIONS = ['account_number'];
+const ACTIONS = ['transfer', 'opt_out', ...VALUE_ACTIONS];
+
+/**
+ * Parse KEYPAD_RULES-style configuration
+ * @param {string} config - e.g. "0:transfer,9:opt_out,*:account_number"
+ * @returns {Array<{ keys: string, action: string }>}
+ */
+function parseRules(config) {
+  return config
+    .split(',')
+    .map(rule => rule.trim())
+    .filter(Boolean)
+    .map(rule => {
+      const [keys, action] = rule.split(':').map(part => part.trim());
+      if (!/^[0-9*#]+$/.test(keys || '') || !ACTIONS.includes(action)) {
+        logger.warn(`[Keypad] Ignoring invalid keypad rule "${rule}"`);
+        return null;
+      }
+      return { keys, action };
+    })
+    .filter(Boolean);
+}
+
+const RULES = parseRules(process.env.KEYPAD_RULES || '0:transfer,9:opt_out,*:account_number');
+
+// Entry in progress per session: Map<sessionId, { keys, updatedAt }>
+const entries = new Map();
+
+/**
+ * Find the rule an entry completes
+ * @param {string} entry - Keys pressed since the last match
+ * @returns {{ rule: Object, value: string|null }|null}
+ */
+function matchRule(entry) {
+  for (const rule of RULES) {
+    if (VALUE_ACTIONS.includes(rule.action)) {
+      const value = entry.startsWith(rule.keys) && entry.endsWith('#')
+        ? entry.slice(rule.keys.length, -1)
+        : null;
+      if (value && /^\d{1,20}$/.test(value)) {
+        return { rule, value };
+      }
+    } else if (entry === rule.keys) {
+      return { rule, value: null };
+    }
+  }
+  return null;
+}
+
+/**
+ * Send a contextual update to the agent, via Redis when the worker owns the session
+ * @param {string} sessionId - ElevenLabs session ID
+ * @param {string} text - What the agent should know
+ */
+async function forwardToAgent(sessionId, text) {
+  if (elevenlabs.isSessionActiveOrOpening(sessionId)) {
+    elevenlabs.sendContextualUpdate(sessionId, text);
+    return;
+  }
+  await publishRedisMessage(`${TWILIO_AUDIO_CHANNEL_PREFIX}${sessionId}`, JSON.stringify({
+    contextualUpdate: text,
+    sourceProcess: process.pid
+  }));
+}
+
+async function addTranscriptLine(sessionId, direction, callInfo, text) {
+  if (direction === 'inbound') {
+    await sessionManager.addInboundMessage(callInfo.callId, { role: 'dtmf', text, timestamp: new Date().toISOString() });
+  } else {
+    await sessionManager.addOutboundMessage(sessionId, 'dtmf', text);
+  }
+}
+
+/**
+ * Run a matched rule's action
+ * @returns {Promise<string>} - Contextual update for the agent describing the result
+ */
+async function runAction(rule, value, { sessionId, direction, callInfo }) {
+  const logPrefix = `[${sessionId}]`;
+  const externalCallId = direction === 'inbound' ? callInfo.callId : callInfo.callSid;
+
+  if (rule.action === 'transfer') {
+    if (direction !== 'outbound') {
+      logger.warn(`${logPrefix} Keypad transfer requested on an inbound call. Transfers are only available on outbound calls.`);
+      return `The caller pressed ${rule.keys} to speak to a human, but no one is available to take the call. Apologize and keep helping them.`;
+    }
+    const result = await callTransfer.transferCall(sessionId, { trigger: 'dtmf', reason: `Caller pressed ${rule.keys}` });
+    if (result.error) {
+      logger.warn(`${logPrefix} Keypad transfer not performed: ${result.error}`);
+      return `The caller pressed ${rule.keys} to speak to a human, but the transfer failed. Apologize and keep helping them.`;
+    }
+    return `The caller pressed ${rule.keys} and is being transferred to a human.`;
+  }
+
+  if (rule.action === 'opt_out') {
+    const number = direction === 'inbound' ? callInfo.from : callInfo.to;
+    await dncRegistry.addNumber(number, { reason: `Opt-out by keypad (${rule.keys})`, source: 'opt_out', callId: externalCallId });
+    if (direction === 'outbound') {
+      // Recorded on the Call by the status callback
+      const outboundSession = await sessionManager.getOutboundSession(sessionId);
+      if (outboundSession) {
+        await sessionManager.saveOutboundSession(sessionId, { ...outboundSession, disposition: 'opt_out' });
+      }
+    }
+    logger.info(`${logPrefix} Caller pressed ${rule.keys} to opt out. ${number} added to the DNC list.`);
+    return `The caller pressed ${rule.keys} to opt out. Their number has been added to the do-not-call list. Confirm this and end the call politely.`;
+  }
+
+  // account_number
+  const call = externalCallId ? await dbService.getCallByExternalId(externalCallId) : null;
+  if (call) {
+    await dbService.mergeCallData(call.id, { accountNumber: value });
+  }
+  logger.info(`${logPrefix} Caller entered account number ${value}.`);
+  return `The caller entered their account number on the keypad: ${value}.`;
+}
+
+/**
+ * Handle a Twilio media-stream dtmf event
+ * @param {Object} options
+ * @param {string} options.sessionId - ElevenLabs session ID
+ * @param {string} options.direction - 'outbound' or 'inbound'
+ * @param {Object} options.callInfo - The stream's call session
+ * @param {string} options.digit - The key pressed (0-9, * or #)
+ */
+async function handleDigit({ sessionId, direction, callInfo, digit }) {
+  const logPrefix = `[${sessionId}]`;
+  if (!/^[0-9*#]$/.test(digit || '')) {
+    logger.warn(`${logPrefix} Ignoring unexpected DTMF digit "${digit}"`);
+    return;
+  }
+
+  const now = Date.now();
+  const previous = entries.get(sessionId);
+  const entry = (previous && now - previous.updatedAt <= ENTRY_TIMEOUT_MS ? previous.keys : '') + digit;
+  logger.info(`${logPrefix} Caller pressed ${digit} (entry: ${entry})`);
+
+  // Settle the entry before anything is awaited, so keys pressed meanwhile start afresh
+  const match = matchRule(entry);
+  if (match || digit === '#') {
+    entries.delete(sessionId);
+  } else {
+    entries.set(sessionId, { keys: entry, updatedAt: now });
+  }
+
+  await addTranscriptLine(sessionId, direction, callInfo, `Pressed ${digit}`);
+
+  let update = `The caller pressed ${digit} on their keypad.`;
+  if (match) {
+    logger.info(`${logPrefix} Keypad entry ${entry} matched rule ${match.rule.keys}:${match.rule.action}`);
+    update = await runAction(match.rule, match.value, { sessionId, direction, callInfo });
+  }
+  await forwardToAgent(sessionId, update);
+}
+
+/**
+ * Forget a session's entry in progress (the stream has closed)
+ * @param {string} sessionId - ElevenLabs session ID
+ */
+function clearSession(sessionId) {
+  entries.delete(sessionId);
+}
+
+module.exports = {
+  RULES,
+  parseRules,
+  matchRule,
+  handleDigit,
+  clearSession
+};
@@ -0,0 +1,160 @@
+/**
+ * OpenPhone Webhook Security
+ *
+ * OpenPhone signs each webhook with an `openphone-signature` header:
+ *
+ *   hmac;1;<timestamp>;<signature>
+ *
+ * where <timestamp> is milliseconds since the epoch and <signature> is the
+ * base64 HMAC-SHA256 of "<timestamp>.<raw body>", keyed with the webhook's
+ * signing secret (itself base64 encoded). The body has to be verified exactly
+ * as received, so server.js keeps the raw bytes of /api/inbound requests
+ * (captureRawBody). Deliveries older or newer than the tolerance window are
+ * rejected to stop replays.
+ *
+ * Internal calls from n8n authenticate with the `x-n8n-auth` header instead.
+ * Both secrets can be rotated: during a rollover the previous value
+ * (OPENPHONE_WEBHOOK_SECRET_PREVIOUS / N8N_INTERNAL_SECRET_PREVIOUS) is also
+ * accepted until it is removed.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const SIGNATURE_SCHEME = 'hmac';
+const SIGNATURE_VERSION = '1';
+
+const TOLERANCE_SECONDS = parseInt(process.env.OPENPHONE_SIGNATURE_TOLERANCE_SECONDS, 10) || 300;
+
+// Current value first, then the one being rotated out
+function getSecrets(name) {
+  return [process.env[name], process.env[`${name}_PREVIOUS`]].filter(Boolean);
+}
+
+/**
+ * express.json `verify` hook: keep the raw body of inbound webhooks for signature checks
+ */
+function captureRawBody(req, res, buf) {
+  if (req.originalUrl.startsWith('/api/inbound/')) {
+    req.rawBody = buf;
+  }
+}
+
+function timingSafeEqualStrings(a, b) {
+  const expected = Buffer.from(a);
+  const received = Buffer.from(b);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Parse an openphone-signature header
+ * @param {string} header
+ * @returns {{ timestamp: string, signature: string }|null} - null if the header is malformed
+ */
+function parseSignatureHeader(header) {
+  const parts = String(header || '').split(';');
+  if (parts.length !== 4 || parts[0] !== SIGNATURE_SCHEME || parts[1] !== SIGNATURE_VERSION) {
+    return null;
+  }
+  const [, , timestamp, signature] = parts;
+  if (!/^\d+$/.test(timestamp) || !signature) {
+    return null;
+  }
+  return { timestamp, signature };
+}
+
+/**
+ * Compute the signature OpenPhone sends for a payload
+ * @param {string} secret - Base64 signing secret
+ * @param {string} timestamp - Timestamp from the header
+ * @param {Buffer|string} rawBody - Request body as received
+ * @returns {string} - Base64 digest
+ */
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', Buffer.from(secret, 'base64'))
+    .update(Buffer.concat([Buffer.from(`${timestamp}.`), Buffer.from(rawBody)]))
+    .digest('base64');
+}
+
+/**
+ * Check an openphone-signature header against the raw body
+ * @param {string} header - openphone-signature header value
+ * @param {Buffer|string} rawBody - Request body as received
+ * @param {number} [now] - Current time in ms
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+function verifySignature(header, rawBody, now = Date.now()) {
+  const secrets = getSecrets('OPENPHONE_WEBHOOK_SECRET');
+  if (secrets.length === 0) {
+    return { valid: false, reason: 'OPENPHONE_WEBHOOK_SECRET is not set' };
+  }
+  const parsed = parseSignatureHeader(header);
+  if (!parsed) {
+    return { valid: false, reason: 'malformed signature header' };
+  }
+  if (Math.abs(now - parseInt(parsed.timestamp, 10)) > TOLERANCE_SECONDS * 1000) {
+    return { valid: false, reason: 'timestamp outside tolerance window' };
+  }
+  const matches = secrets.some(secret =>
+    timingSafeEqualStrings(computeSignature(secret, parsed.timestamp, rawBody), parsed.signature)
+  );
+  return matches ? { valid: true } : { valid: false, reason: 'signature mismatch' };
+}
+
+/**
+ * Check an x-n8n-auth header against N8N_INTERNAL_SECRET (or the previous secret)
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidN8nSecret(value) {
+  if (!value) {
+    return false;
+  }
+  return getSecrets('N8N_INTERNAL_SECRET').some(secret => timingSafeEqualStrings(secret, value));
+}
+
+/**
+ * Express middleware: verify an OpenPhone webhook signature OR the internal n8n secret
+ */
+function verifyWebhookSignature(req, res, next) {
+  try {
+    // Internal n8n calls bypass the OpenPhone signature check
+    if (isValidN8nSecret(req.get('x-n8n-auth'))) {
+      logger.debug('Request authenticated via internal N8N secret.');
+      return next();
+    }
+
+    const header = req.get('openphone-signature');
+    if (!header) {
+      logger.warn(`[OpenPhone Auth] Missing openphone-signature on ${req.method} ${req.originalUrl}, and no valid N8N secret provided.`);
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    if (!req.rawBody) {
+      // Without the exact bytes the signature cannot be checked
+      logger.error(`[OpenPhone Auth] No raw body captured for ${req.originalUrl}. Is captureRawBody set on express.json?`);
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { valid, reason } = verifySignature(header, req.rawBody);
+    if (!valid) {
+      logger.warn(`[OpenPhone Auth] Rejected webhook on ${req.originalUrl}: ${reason}`);
+      return res.status(401).json({ error: 'Invalid Signature' });
+    }
+
+    logger.debug('OpenPhone webhook signature verified successfully.');
+    next();
+  } catch (error) {
+    logger.error('Error validating webhook signature:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+}
+
+module.exports = {
+  captureRawBody,
+  parseSignatureHeader,
+  computeSignature,
+  verifySignature,
+  isValidN8nSecret,
+  verifyWebhookSignature
+};
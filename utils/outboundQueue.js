@@ -0,0 +1,23 @@
+/**
+ * Outbound Call Queue
+ *
+ * Shared BullMQ queue used by the API routes and the campaign dispatcher to
+ * hand call initiation jobs to queueWorker.js.
+ */
+
+const { Queue } = require('bullmq');
+const logger = require('./logger');
+const { redisConnectionOptions } = require('./redisClient');
+
+const QUEUE_NAME = 'outbound-calls';
+
+const outboundCallQueue = new Queue(QUEUE_NAME, {
+    connection: redisConnectionOptions,
+    defaultJobOptions: {
+        attempts: 3, // Retry failed jobs 3 times
+        backoff: { type: 'exponential', delay: 1000 } // Exponential backoff
+    }
+});
+logger.info(`Queue '${QUEUE_NAME}' initialized.`);
+
+module.exports = { QUEUE_NAME, outboundCallQueue };
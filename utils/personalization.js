@@ -0,0 +1,123 @@
+/**
+ * Per-Lead Personalization
+ *
+ * Turns the `variables` supplied with an outbound call (lead name, company,
+ * product interest, previous-call notes, ...) into ElevenLabs dynamic
+ * variables plus prompt and first-message overrides, so each conversation
+ * opens with a personalized script.
+ */
+
+// Optional: replace the agent's first message / system prompt when set. Without
+// them (or a per-call override) nothing is overridden, so agents that do not
+// allow overrides still start.
+const FIRST_MESSAGE_TEMPLATE = process.env.OUTBOUND_FIRST_MESSAGE || null;
+const PROMPT_TEMPLATE = process.env.OUTBOUND_PROMPT_TEMPLATE || null;
+
+const MAX_VARIABLES = 50;
+const MAX_VALUE_LENGTH = 2000;
+
+/**
+ * Turn a column or field name into a dynamic-variable key ("First Name" -> "first_name")
+ * @param {string} key
+ * @returns {string}
+ */
+function toVariableKey(key) {
+  return String(key).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Check the `variables` object accepted by /start
+ * @param {*} variables
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateVariables(variables) {
+  if (variables === undefined || variables === null) {
+    return null;
+  }
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    return 'variables must be an object';
+  }
+  const entries = Object.entries(variables);
+  if (entries.length > MAX_VARIABLES) {
+    return `variables may have at most ${MAX_VARIABLES} entries`;
+  }
+  const invalid = entries.find(([, value]) =>
+    value !== null && !['string', 'number', 'boolean'].includes(typeof value));
+  if (invalid) {
+    return `variables.${invalid[0]} must be a string, number or boolean`;
+  }
+  return null;
+}
+
+/**
+ * Normalize lead data into the flat key/value map ElevenLabs accepts
+ * @param {Object} [variables] - Caller-supplied variables
+ * @param {Object} [lead] - { name, to } defaults for well-known keys
+ * @returns {Object}
+ */
+function buildVariables(variables = {}, { name, to } = {}) {
+  const result = {};
+  Object.entries(variables || {}).forEach(([key, value]) => {
+    const variableKey = toVariableKey(key);
+    if (!variableKey || value === null || value === undefined || typeof value === 'object') {
+      return;
+    }
+    result[variableKey] = typeof value === 'string' ? value.substring(0, MAX_VALUE_LENGTH) : value;
+  });
+  if (name && !result.name) {
+    result.name = name;
+  }
+  if (to && !result.phone_number) {
+    result.phone_number = to;
+  }
+  return result;
+}
+
+/**
+ * Fill {{variable}} placeholders; unknown variables become empty strings
+ * @param {string} template - Template text
+ * @param {Object} variables - Values to substitute
+ * @returns {string}
+ */
+function renderTemplate(template, variables = {}) {
+  return String(template)
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+      const value = variables[key];
+      return value === undefined || value === null ? '' : String(value);
+    })
+    .replace(/[ \t]+([,.!?])/g, '$1') // Tidy up after empty variables
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Build startConversation options for a call
+ * @param {Object} variables - Output of buildVariables
+ * @param {Object} [overrides] - Per-call { firstMessage, prompt } templates
+ * @returns {{ dynamicVariables: Object, conversationConfigOverride: Object, firstMessage: string|null }}
+ */
+function buildConversationOptions(variables, { firstMessage, prompt } = {}) {
+  const agentOverride = {};
+  const firstMessageTemplate = firstMessage || FIRST_MESSAGE_TEMPLATE;
+  if (firstMessageTemplate) {
+    agentOverride.first_message = renderTemplate(firstMessageTemplate, variables);
+  }
+  const promptTemplate = prompt || PROMPT_TEMPLATE;
+  if (promptTemplate) {
+    agentOverride.prompt = { prompt: renderTemplate(promptTemplate, variables) };
+  }
+
+  return {
+    dynamicVariables: variables,
+    conversationConfigOverride: Object.keys(agentOverride).length > 0 ? { agent: agentOverride } : {},
+    firstMessage: agentOverride.first_message || null
+  };
+}
+
+module.exports = {
+  toVariableKey,
+  validateVariables,
+  buildVariables,
+  renderTemplate,
+  buildConversationOptions
+};
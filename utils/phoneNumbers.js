@@ -0,0 +1,56 @@
+/**
+ * Phone number helpers shared by the DNC registry, campaigns and the worker.
+ */
+
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || '1';
+
+/**
+ * Normalize a phone number to E.164 (e.g. "+14155550123")
+ * Numbers without a leading "+" are treated as national numbers for the
+ * default country (NANP unless DEFAULT_COUNTRY_CODE says otherwise).
+ * @param {string} raw - The phone number as entered
+ * @param {string} [countryCode] - Country calling code to assume for national numbers
+ * @returns {string|null} - The E.164 number, or null if it cannot be valid
+ */
+function normalizePhoneNumber(raw, countryCode = DEFAULT_COUNTRY_CODE) {
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+
+  const input = String(raw).trim();
+  const hasPlus = input.startsWith('+') || input.startsWith('00');
+  let digits = input.replace(/\D/g, '');
+  if (input.startsWith('00')) {
+    digits = digits.substring(2);
+  }
+
+  if (!hasPlus) {
+    if (countryCode === '1' && digits.length === 11 && digits.startsWith('1')) {
+      digits = digits.substring(1);
+    }
+    digits = `${countryCode}${digits}`;
+  }
+
+  // NANP numbers are +1 followed by a ten-digit NXX-NXX-XXXX number
+  if (digits.startsWith('1')) {
+    return /^1[2-9]\d{2}[2-9]\d{6}$/.test(digits) ? `+${digits}` : null;
+  }
+
+  // E.164 allows up to 15 digits including the country code
+  return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+}
+
+/**
+ * Extract the NANP area code from a phone number
+ * @param {string} phoneNumber - Number in any common format
+ * @returns {string|null} - Three-digit area code, or null for non-NANP numbers
+ */
+function getAreaCode(phoneNumber) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized || !normalized.startsWith('+1')) {
+    return null;
+  }
+  return normalized.substring(2, 5);
+}
+
+module.exports = { normalizePhoneNumber, getAreaCode };
@@ -0,0 +1,90 @@
+/**
+ * Recording Storage
+ *
+ * Pluggable storage for call recordings. A backend implements
+ * `save(key, buffer)` (resolving to a location string) and `read(location)`
+ * (resolving to a Buffer, or null if missing).
+ * The `local` backend writes to disk and is the default; other backends
+ * (S3, GCS, ...) can be added with registerBackend and selected with
+ * RECORDING_STORAGE.
+ */
+
+const path = require('path');
+const { promises: fs } = require('fs');
+const logger = require('./logger');
+
+const STORAGE_BACKEND = process.env.RECORDING_STORAGE || 'local';
+const LOCAL_DIR = path.resolve(process.env.RECORDING_STORAGE_DIR || path.join(__dirname, '..', 'recordings'));
+
+const localBackend = {
+  async save(key, buffer) {
+    const filePath = path.join(LOCAL_DIR, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return key;
+  },
+
+  async read(location) {
+    const filePath = path.resolve(LOCAL_DIR, location);
+    // Locations come from the database; never read outside the recordings directory
+    if (!filePath.startsWith(LOCAL_DIR + path.sep)) {
+      return null;
+    }
+    try {
+      return await fs.readFile(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+};
+
+const backends = new Map([['local', localBackend]]);
+
+/**
+ * Add or replace a storage backend
+ * @param {string} name - Name used in RECORDING_STORAGE and stored on the Call
+ * @param {Object} backend - { save, read }
+ */
+function registerBackend(name, backend) {
+  backends.set(name, backend);
+}
+
+function getBackend(name) {
+  const backend = backends.get(name);
+  if (!backend) {
+    throw new Error(`Unknown recording storage backend "${name}"`);
+  }
+  return backend;
+}
+
+/**
+ * Store a recording with the configured backend
+ * @param {string} key - Object key, e.g. "2024/05/01/<callSid>.wav"
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<{ storage: string, location: string }>}
+ */
+async function saveRecording(key, buffer) {
+  const location = await getBackend(STORAGE_BACKEND).save(key, buffer);
+  logger.info(`[Recording] Stored ${key} (${buffer.length} bytes) with ${STORAGE_BACKEND} storage`);
+  return { storage: STORAGE_BACKEND, location };
+}
+
+/**
+ * Load a recording from the backend it was stored with
+ * @param {string} storage - Backend name saved on the Call
+ * @param {string} location - Location returned by saveRecording
+ * @returns {Promise<Buffer|null>}
+ */
+async function readRecording(storage, location) {
+  return getBackend(storage).read(location);
+}
+
+module.exports = {
+  STORAGE_BACKEND,
+  registerBackend,
+  saveRecording,
+  readRecording
+};
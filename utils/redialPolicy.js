@@ -0,0 +1,114 @@
+/**
+ * Redial Policy
+ *
+ * Decides whether an unanswered outbound call should be dialed again and
+ * schedules the redial as a delayed job on the outbound-calls queue.
+ */
+
+const logger = require('./logger');
+const { dbService } = require('./dbClient');
+const { outboundCallQueue } = require('./outboundQueue');
+const webhookDispatcher = require('./webhookDispatcher');
+
+// Total dials per lead, including the first one (1 disables redialing)
+const MAX_ATTEMPTS = parseInt(process.env.REDIAL_MAX_ATTEMPTS, 10) || 3;
+
+// Minutes to wait before each redial; the last value repeats for later attempts
+const BACKOFF_MINUTES = (process.env.REDIAL_BACKOFF_MINUTES || '15,60')
+  .split(',')
+  .map(minutes => parseFloat(minutes))
+  .filter(minutes => !isNaN(minutes) && minutes >= 0);
+
+// Final Twilio statuses that should be redialed
+const RETRYABLE_STATUSES = (process.env.REDIAL_STATUSES || 'busy,no-answer,failed')
+  .split(',')
+  .map(status => status.trim())
+  .filter(Boolean);
+
+/**
+ * Delay before the next dial after a given attempt
+ * @param {number} attempt - The attempt that just finished (1-based)
+ * @returns {number} - Delay in milliseconds
+ */
+function getRedialDelay(attempt) {
+  if (BACKOFF_MINUTES.length === 0) {
+    return 0;
+  }
+  const minutes = BACKOFF_MINUTES[Math.min(attempt, BACKOFF_MINUTES.length) - 1];
+  return Math.round(minutes * 60 * 1000);
+}
+
+/**
+ * Check whether a call outcome qualifies for another attempt
+ * @param {string} callStatus - Final Twilio call status
+ * @param {number} attempt - The attempt that just finished (1-based)
+ * @returns {boolean}
+ */
+function shouldRedial(callStatus, attempt) {
+  return RETRYABLE_STATUSES.includes(callStatus) && attempt < MAX_ATTEMPTS;
+}
+
+/**
+ * Schedule a delayed redial for a call that ended busy, unanswered or failed
+ * @param {Object} callInfo - The outbound session from Redis
+ * @param {string} callStatus - Final Twilio call status
+ * @param {string|null} originalCallId - Call record ID of attempt 1
+ * @returns {Promise<Object|null>} - { jobId, attempt, runAt } or null if no redial is due
+ */
+async function scheduleRedial(callInfo, callStatus, originalCallId) {
+  const attempt = parseInt(callInfo.attempt, 10) || 1;
+  if (!shouldRedial(callStatus, attempt)) {
+    return null;
+  }
+
+  // Only a live campaign keeps dialing its leads. A paused campaign's redial is
+  // still scheduled; the worker holds it until the campaign is resumed
+  if (callInfo.campaignId) {
+    const campaign = await dbService.getCampaign(callInfo.campaignId);
+    if (!campaign || !['running', 'paused'].includes(campaign.status)) {
+      return null;
+    }
+  }
+
+  const nextAttempt = attempt + 1;
+  const delay = getRedialDelay(attempt);
+  // Deterministic ID so a repeated status callback cannot schedule the same redial twice
+  const jobId = `redial-${originalCallId || callInfo.jobId}-${nextAttempt}`;
+  const jobData = {
+    to: callInfo.to,
+    from: callInfo.from,
+    n8nWorkflowUrl: callInfo.n8nWorkflowUrl || null,
+    timezone: callInfo.timezone || null,
+    callingWindow: callInfo.callingWindow || null,
+    jobId,
+    campaignId: callInfo.campaignId || null,
+    leadId: callInfo.leadId || null,
+    attempt: nextAttempt,
+    originalCallId: originalCallId || null,
+    leadName: callInfo.leadName || null,
+    voicemailMessage: callInfo.voicemailMessage || null,
+    variables: callInfo.variables || null,
+    firstMessage: callInfo.firstMessage || null,
+    prompt: callInfo.prompt || null,
+    agentId: callInfo.agentId || null,
+    voiceId: callInfo.voiceId || null,
+    modelId: callInfo.modelId || null,
+    record: !!callInfo.record
+  };
+
+  await outboundCallQueue.add('initiate-call', jobData, { jobId, delay });
+
+  const runAt = new Date(Date.now() + delay);
+  await webhookDispatcher.emitEvent(jobData.n8nWorkflowUrl, 'call.queued',
+    webhookDispatcher.buildCallPayload(jobData, { scheduledFor: runAt.toISOString() }));
+  logger.info(`[Redial][Job ${jobId}] ${callInfo.to} ended ${callStatus} on attempt ${attempt}/${MAX_ATTEMPTS}. Redialing at ${runAt.toISOString()}`);
+  return { jobId, attempt: nextAttempt, runAt };
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  RETRYABLE_STATUSES,
+  getRedialDelay,
+  shouldRedial,
+  scheduleRedial
+};
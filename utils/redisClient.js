@@ -69,6 +69,8 @@ class SessionManager {
         this.inboundPrefix = 'inbound_session:';
         this.mappingPrefix = 'session_to_call:';
         this.ownershipPrefix = 'session_owner:';
+        this.outboundTranscriptPrefix = 'outbound_transcript:';
+        this.inboundMessagesPrefix = 'inbound_messages:';
     }
 
     _getKey(sessionId) {
@@ -119,6 +121,27 @@ class SessionManager {
         }
     }
     
+    // Append a transcript line ({ role: 'user'|'agent'|'dtmf', text }) for an outbound call
+    async addOutboundMessage(sessionId, role, text, ttlSeconds = 24 * 3600) {
+        try {
+            const key = `${this.outboundTranscriptPrefix}${sessionId}`;
+            await this.client.rPush(key, JSON.stringify({ role, text, timestamp: new Date().toISOString() }));
+            await this.client.expire(key, ttlSeconds);
+        } catch (err) {
+            logger.error(`[${sessionId}] Error saving transcript message to Redis:`, err);
+        }
+    }
+
+    async getOutboundMessages(sessionId) {
+        try {
+            const entries = await this.client.lRange(`${this.outboundTranscriptPrefix}${sessionId}`, 0, -1);
+            return entries.map(entry => JSON.parse(entry));
+        } catch (err) {
+            logger.error(`[${sessionId}] Error getting transcript from Redis:`, err);
+            return [];
+        }
+    }
+
     async saveInboundSession(callId, data, ttlSeconds = 3600) {
         try {
             const key = this._getInboundKey(callId);
@@ -140,6 +163,48 @@ class SessionManager {
     }
     }
 
+    // Merge status fields into an inbound session, keeping its remaining fields
+    async updateInboundCallStatus(callId, status, extra = {}) {
+        const session = await this.getInboundSession(callId);
+        if (!session) {
+            logger.warn(`[Inbound:${callId}] Cannot update status to ${status}, session not found in Redis.`);
+            return null;
+        }
+        const updated = { ...session, ...extra, status, statusUpdatedAt: new Date().toISOString() };
+        await this.saveInboundSession(callId, updated);
+        return updated;
+    }
+
+    // Append a message ({ role: 'user'|'agent'|'dtmf', text, timestamp }) for an inbound call
+    async addInboundMessage(callId, message, ttlSeconds = 24 * 3600) {
+        try {
+            const key = `${this.inboundMessagesPrefix}${callId}`;
+            await this.client.rPush(key, JSON.stringify(message));
+            await this.client.expire(key, ttlSeconds);
+        } catch (err) {
+            logger.error(`[Inbound:${callId}] Error saving message to Redis:`, err);
+        }
+    }
+
+    async getInboundMessages(callId) {
+        try {
+            const entries = await this.client.lRange(`${this.inboundMessagesPrefix}${callId}`, 0, -1);
+            return entries.map(entry => JSON.parse(entry));
+        } catch (err) {
+            logger.error(`[Inbound:${callId}] Error getting messages from Redis:`, err);
+            return [];
+        }
+    }
+
+    async deleteInboundSession(callId) {
+        try {
+            await this.client.del([this._getInboundKey(callId), `${this.inboundMessagesPrefix}${callId}`]);
+            logger.debug(`[Inbound:${callId}] Session and messages deleted from Redis.`);
+        } catch (err) {
+            logger.error(`[Inbound:${callId}] Error deleting inbound session from Redis:`, err);
+        }
+    }
+
     async saveSessionToCallIdMapping(sessionId, callId, ttlSeconds = 3600) {
     try {
             const key = this._getMappingKey(sessionId);
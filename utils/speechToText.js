@@ -0,0 +1,74 @@
+/**
+ * Speech-to-Text
+ *
+ * Pluggable transcription of recorded audio (e.g. voicemails). The default
+ * transcriber uses OpenAI's transcription API with STT_MODEL. Another provider
+ * can be plugged in with setTranscriber: any object with a `name` and
+ * `transcribe(audio, { contentType, filename })` resolving to the text.
+ */
+
+const { OpenAI, toFile } = require('openai');
+const logger = require('./logger');
+
+const STT_MODEL = process.env.STT_MODEL || 'whisper-1';
+
+/**
+ * Create the default OpenAI-backed transcriber
+ * @param {Object} [options] - { apiKey, model }
+ * @returns {{ name: string, transcribe: Function }}
+ */
+function createOpenAITranscriber({ apiKey = process.env.OPENAI_API_KEY, model = STT_MODEL } = {}) {
+  const openai = new OpenAI({ apiKey });
+  return {
+    name: `openai:${model}`,
+    async transcribe(audio, { contentType = 'audio/wav', filename = 'audio.wav' } = {}) {
+      const file = await toFile(audio, filename, { type: contentType });
+      const result = await openai.audio.transcriptions.create({ file, model });
+      return result.text;
+    }
+  };
+}
+
+let transcriber = null;
+
+/**
+ * Replace the transcriber (e.g. with another provider or a stub in tests)
+ * @param {Object|null} impl - { name, transcribe(audio, options) }; null restores the default
+ */
+function setTranscriber(impl) {
+  transcriber = impl;
+}
+
+function getTranscriber() {
+  if (!transcriber) {
+    transcriber = createOpenAITranscriber();
+  }
+  return transcriber;
+}
+
+/**
+ * Transcribe audio, logging instead of throwing on failure
+ * @param {Buffer} audio - Audio file contents
+ * @param {Object} [options] - { contentType, filename }
+ * @returns {Promise<{ text: string, transcriber: string }|null>} - null if transcription failed
+ */
+async function transcribe(audio, options = {}) {
+  // A transcriber that cannot be built (e.g. no OPENAI_API_KEY) is a failure like any other
+  let name = 'custom';
+  try {
+    const activeTranscriber = getTranscriber();
+    name = activeTranscriber.name || name;
+    const text = await activeTranscriber.transcribe(audio, options);
+    return { text: String(text || '').trim(), transcriber: name };
+  } catch (error) {
+    logger.error(`[STT] Transcription with ${name} failed:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  STT_MODEL,
+  createOpenAITranscriber,
+  setTranscriber,
+  transcribe
+};
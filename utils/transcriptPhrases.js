@@ -0,0 +1,70 @@
+/**
+ * Transcript Phrase Matching
+ *
+ * Shared by the caller-speech triggers (opt-out, transfer request). Transcripts
+ * and configured phrases are normalized the same way (lowercase words, single
+ * spaces, apostrophes and punctuation dropped) and phrases only match as whole
+ * words, so "stop calling" does not match inside unrelated words and "Don't"
+ * matches "dont".
+ */
+
+// Words that, shortly before a phrase, mean the caller is saying the opposite
+// ("I don't need to talk to a person")
+const NEGATIONS = ['not', 'dont', 'doesnt', 'didnt', 'never', 'wont', 'wouldnt', 'without'];
+const NEGATION_WINDOW_WORDS = 4;
+
+/**
+ * Lowercase words separated by single spaces, apostrophes dropped ("Don't" -> "dont")
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse a comma-separated phrase list (e.g. from an env variable)
+ * @param {string} config
+ * @returns {Array<string>} - Normalized phrases
+ */
+function parsePhrases(config) {
+  return String(config || '')
+    .split(',')
+    .map(normalizeText)
+    .filter(Boolean);
+}
+
+/**
+ * Check whether a transcript contains one of the phrases as whole words
+ * @param {string} text - Transcript text
+ * @param {Array<string>} phrases - Output of parsePhrases
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreNegated] - Skip occurrences preceded by a negation
+ * @returns {boolean}
+ */
+function containsPhrase(text, phrases, { ignoreNegated = false } = {}) {
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  return phrases.some(phrase => {
+    const phraseWords = phrase.split(' ');
+    for (let start = 0; start + phraseWords.length <= words.length; start++) {
+      if (!phraseWords.every((word, offset) => words[start + offset] === word)) {
+        continue;
+      }
+      const before = words.slice(Math.max(0, start - NEGATION_WINDOW_WORDS), start);
+      if (!ignoreNegated || !before.some(word => NEGATIONS.includes(word))) {
+        return true;
+      }
+    }
+    return false;
+  });
+}
+
+module.exports = {
+  normalizeText,
+  parsePhrases,
+  containsPhrase
+};
@@ -0,0 +1,126 @@
+/**
+ * Twilio Request Security
+ *
+ * - validateTwilioSignature: Express middleware that rejects webhook requests
+ *   (status / AMD callbacks, transfer whispers, inbound voice, hold and voicemail) without a valid
+ *   X-Twilio-Signature for TWILIO_AUTH_TOKEN.
+ * - createStreamToken / verifyStreamToken: short-lived HMAC tokens embedded in
+ *   the media stream URL (/api/<outbound|inbound>/stream/<sessionId>/<token>)
+ *   so only the call we placed or answered can open that session's WebSocket. Twilio does not send
+ *   X-Twilio-Signature on stream upgrades, and <Stream> URLs cannot carry a
+ *   query string, so the token is a path segment.
+ */
+
+const crypto = require('crypto');
+const twilio = require('twilio');
+const logger = require('./logger');
+
+// Only for local development without a public tunnel
+const SIGNATURE_VALIDATION_ENABLED = process.env.TWILIO_SIGNATURE_VALIDATION !== 'false';
+
+// Long enough to cover ringing, AMD and the consent announcement before the stream connects
+const STREAM_TOKEN_TTL_SECONDS = parseInt(process.env.STREAM_TOKEN_TTL_SECONDS, 10) || 300;
+
+// null when neither is set: tokens are then neither issued nor accepted, since
+// an empty HMAC key would let anyone mint them
+function getStreamTokenSecret() {
+  return process.env.STREAM_TOKEN_SECRET || process.env.TWILIO_AUTH_TOKEN || null;
+}
+
+/**
+ * The URL Twilio signed: PUBLIC_URL plus the request path and query
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function getSignedUrl(req) {
+  const base = (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+  return `${base}${req.originalUrl}`;
+}
+
+/**
+ * Express middleware: require a valid X-Twilio-Signature
+ */
+function validateTwilioSignature(req, res, next) {
+  if (!SIGNATURE_VALIDATION_ENABLED) {
+    return next();
+  }
+
+  const signature = req.get('X-Twilio-Signature');
+  if (!signature) {
+    logger.warn(`[Twilio Auth] Missing X-Twilio-Signature on ${req.method} ${req.originalUrl}`);
+    return res.status(403).send('Missing Twilio signature');
+  }
+
+  const valid = twilio.validateRequest(
+    process.env.TWILIO_AUTH_TOKEN,
+    signature,
+    getSignedUrl(req),
+    req.body || {}
+  );
+  if (!valid) {
+    logger.warn(`[Twilio Auth] Invalid X-Twilio-Signature on ${req.method} ${req.originalUrl}`);
+    return res.status(403).send('Invalid Twilio signature');
+  }
+  next();
+}
+
+function signStreamToken(secret, sessionId, expires) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${sessionId}.${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * Create a media stream token for a session
+ * @param {string} sessionId - The outbound session ID
+ * @param {number} [ttlSeconds] - Validity period
+ * @returns {string} - "<expires>.<signature>"
+ * @throws If neither STREAM_TOKEN_SECRET nor TWILIO_AUTH_TOKEN is set
+ */
+function createStreamToken(sessionId, ttlSeconds = STREAM_TOKEN_TTL_SECONDS) {
+  const secret = getStreamTokenSecret();
+  if (!secret) {
+    throw new Error('Cannot issue a media stream token: set STREAM_TOKEN_SECRET or TWILIO_AUTH_TOKEN');
+  }
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${expires}.${signStreamToken(secret, sessionId, expires)}`;
+}
+
+/**
+ * Verify a media stream token
+ * @param {string} sessionId - Session ID from the stream URL
+ * @param {string} token - Token from the stream URL
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+function verifyStreamToken(sessionId, token) {
+  const secret = getStreamTokenSecret();
+  if (!secret) {
+    return { valid: false, reason: 'no stream token secret configured' };
+  }
+  if (!token) {
+    return { valid: false, reason: 'missing token' };
+  }
+  const [expiresText, signature] = token.split('.');
+  const expires = parseInt(expiresText, 10);
+  if (!expires || !signature) {
+    return { valid: false, reason: 'malformed token' };
+  }
+  if (expires < Math.floor(Date.now() / 1000)) {
+    return { valid: false, reason: 'expired token' };
+  }
+
+  const expected = Buffer.from(signStreamToken(secret, sessionId, expires));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'bad signature' };
+  }
+  return { valid: true };
+}
+
+module.exports = {
+  SIGNATURE_VALIDATION_ENABLED,
+  validateTwilioSignature,
+  createStreamToken,
+  verifyStreamToken
+};
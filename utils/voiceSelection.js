@@ -0,0 +1,70 @@
+/**
+ * Agent / Voice Selection
+ *
+ * Validates per-call ElevenLabs agent, voice and TTS model choices against the
+ * configured allowlists and fills in the defaults from the environment.
+ * The default agent and voice are always allowed.
+ */
+
+const DEFAULT_MODEL_ID = 'eleven_monolingual_v1';
+
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function getDefaults() {
+  return {
+    agentId: process.env.ELEVENLABS_AGENT_ID || null,
+    voiceId: process.env.ELEVENLABS_VOICE_ID || null,
+    modelId: process.env.ELEVENLABS_TTS_MODEL_ID || DEFAULT_MODEL_ID
+  };
+}
+
+function getAllowlists() {
+  const defaults = getDefaults();
+  return {
+    agentId: [defaults.agentId, ...parseList(process.env.ELEVENLABS_AGENT_ALLOWLIST)].filter(Boolean),
+    voiceId: [defaults.voiceId, ...parseList(process.env.ELEVENLABS_VOICE_ALLOWLIST)].filter(Boolean),
+    modelId: [defaults.modelId, ...parseList(process.env.ELEVENLABS_MODEL_ALLOWLIST)].filter(Boolean)
+  };
+}
+
+/**
+ * Validate a requested agent / voice / model selection
+ * @param {Object} requested - { agentId, voiceId, modelId }, each optional
+ * @returns {string|null} - Error message, or null if every value is allowed
+ */
+function validateSelection({ agentId, voiceId, modelId } = {}) {
+  const allowlists = getAllowlists();
+  const requested = { agentId, voiceId, modelId };
+  for (const [field, value] of Object.entries(requested)) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (typeof value !== 'string' || !allowlists[field].includes(value)) {
+      return `${field} "${value}" is not in the configured allowlist`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the selection for a call, falling back to the defaults
+ * @param {Object} requested - { agentId, voiceId, modelId }, each optional
+ * @returns {{ agentId: string, voiceId: string, modelId: string }}
+ */
+function resolveSelection({ agentId, voiceId, modelId } = {}) {
+  const defaults = getDefaults();
+  return {
+    agentId: agentId || defaults.agentId,
+    voiceId: voiceId || defaults.voiceId,
+    modelId: modelId || defaults.modelId
+  };
+}
+
+module.exports = {
+  DEFAULT_MODEL_ID,
+  getAllowlists,
+  validateSelection,
+  resolveSelection
+};
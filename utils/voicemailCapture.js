@@ -0,0 +1,205 @@
+/**
+ * Inbound Voicemail
+ *
+ * When the agent is unavailable, inbound callers can leave a message instead
+ * of being dropped:
+ * - Twilio calls get a <Record> (when the agent session cannot be started,
+ *   or is gone by the time the media stream connects). Twilio posts the
+ *   finished recording to /api/inbound/twilio/voicemail; it is downloaded,
+ *   stored with the recording storage backend and transcribed with the
+ *   speech-to-text interface.
+ * - OpenPhone calls already deliver the caller's speech as text, so the
+ *   caller's input after the greeting is kept as the message.
+ *
+ * Either way the Call is stored with a `voicemail` status and the transcription,
+ * and a `voicemail.received` event is posted to INBOUND_WEBHOOK_URL.
+ */
+
+const axios = require('axios');
+const twilio = require('twilio');
+const logger = require('./logger');
+const { dbService } = require('./dbClient');
+const recordingStorage = require('./recordingStorage');
+const speechToText = require('./speechToText');
+const webhookDispatcher = require('./webhookDispatcher');
+
+const twilioClient = twilio(
+  process.env.TWILIO_ACCOUNT_SID,
+  process.env.TWILIO_AUTH_TOKEN
+);
+
+const GREETING = process.env.VOICEMAIL_GREETING ||
+  'Sorry, no one is available to take your call right now. Please leave a message after the beep and we will get back to you.';
+const MAX_SECONDS = parseInt(process.env.VOICEMAIL_MAX_SECONDS, 10) || 120;
+// Lifecycle webhooks for inbound calls (outbound calls use their n8nWorkflowUrl)
+const INBOUND_WEBHOOK_URL = process.env.INBOUND_WEBHOOK_URL || null;
+
+function httpBase() {
+  return (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+}
+
+/**
+ * TwiML that records a voicemail
+ * @param {Object} call - { from, to } of the Twilio call; passed back with the recording
+ * @returns {string}
+ */
+function buildRecordTwiml({ from, to }) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  const query = new URLSearchParams({ from: from || '', to: to || '' }).toString();
+  twiml.say(GREETING);
+  twiml.record({
+    maxLength: MAX_SECONDS,
+    playBeep: true,
+    timeout: 5,
+    action: `${httpBase()}/api/inbound/twilio/voicemail/done`,
+    recordingStatusCallback: `${httpBase()}/api/inbound/twilio/voicemail?${query}`,
+    recordingStatusCallbackEvent: 'completed'
+  });
+  // Reached only when nothing was recorded
+  twiml.say('We did not receive a message. Goodbye.');
+  return twiml.toString();
+}
+
+/**
+ * TwiML played once the caller has finished recording
+ * @returns {string}
+ */
+function buildDoneTwiml() {
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.say('Thank you for your message. Goodbye.');
+  twiml.hangup();
+  return twiml.toString();
+}
+
+/**
+ * Move a live Twilio call to voicemail (the agent dropped out before the stream connected)
+ * @param {string} callSid - Twilio CallSid
+ * @param {Object} call - { from, to }
+ * @returns {Promise<boolean>}
+ */
+async function redirectToVoicemail(callSid, { from, to }) {
+  try {
+    await twilioClient.calls(callSid).update({ twiml: buildRecordTwiml({ from, to }) });
+    logger.info(`[${callSid}] Agent unavailable. Moved caller to voicemail.`);
+    return true;
+  } catch (error) {
+    logger.error(`[${callSid}] Error moving caller to voicemail:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Store a voicemail on the Call and raise the voicemail.received event
+ * @param {Object} voicemail
+ * @param {string} voicemail.callId - Provider call ID
+ * @param {string} voicemail.from - Caller number
+ * @param {string} voicemail.to - Number that was called
+ * @param {string} voicemail.provider - 'twilio' or 'openphone'
+ * @param {string|null} voicemail.transcription - The message text, if any
+ * @param {string|null} [voicemail.transcriber] - What produced the transcription
+ * @param {Object|null} [voicemail.recording] - { storage, location, durationSeconds }
+ * @param {boolean} [voicemail.saveTranscript] - Also store the transcription as a Message
+ *   (false when the caller's messages were already saved with the call)
+ * @returns {Promise<Object|null>} - The Call record
+ */
+async function saveVoicemail({ callId, from, to, provider, transcription, transcriber = null, recording = null, saveTranscript = true }) {
+  const logPrefix = `[${callId}]`;
+  const now = new Date();
+  const details = {
+    transcription: transcription || null,
+    transcriber,
+    durationSeconds: recording ? recording.durationSeconds : null,
+    receivedAt: now.toISOString()
+  };
+  const recordingFields = recording
+    ? { recording_storage: recording.storage, recording_location: recording.location, recording_duration: recording.durationSeconds }
+    : {};
+
+  let call = await dbService.getCallByExternalId(callId);
+  if (call) {
+    await dbService.mergeCallData(call.id, { voicemail: details }, { status: 'voicemail', end_time: call.end_time || now, ...recordingFields });
+  } else {
+    // The agent never started, so there is no Call record yet
+    call = await dbService.upsertCallByExternalId(callId, {
+      call_id: callId,
+      session_id: `voicemail_${callId}`,
+      direction: 'inbound',
+      from_number: from,
+      to_number: to,
+      start_time: now,
+      end_time: now,
+      status: 'voicemail',
+      call_data: { provider, voicemail: details },
+      ...recordingFields
+    });
+  }
+  if (!call) {
+    logger.error(`${logPrefix} Failed to store voicemail from ${from}.`);
+    return null;
+  }
+
+  if (saveTranscript && transcription) {
+    await dbService.saveMessages([{ call_id: call.id, role: 'user', text: transcription, timestamp: now }]);
+  }
+
+  await webhookDispatcher.emitEvent(INBOUND_WEBHOOK_URL, 'voicemail.received', {
+    callId: call.id,
+    externalCallId: callId,
+    provider,
+    from,
+    to,
+    transcription: details.transcription,
+    durationSeconds: details.durationSeconds,
+    hasRecording: !!recording,
+    receivedAt: details.receivedAt
+  });
+  logger.info(`${logPrefix} Voicemail from ${from} stored on call ${call.id}${transcription ? '' : ' (no transcription)'}.`);
+  return call;
+}
+
+/**
+ * Download, store and transcribe a finished Twilio voicemail recording
+ * @param {Object} recording - From the recording status callback
+ * @param {string} recording.callSid
+ * @param {string} recording.recordingUrl - Twilio recording resource URL (without extension)
+ * @param {number} recording.durationSeconds
+ * @param {string} recording.from - Caller number
+ * @param {string} recording.to - Number that was called
+ * @returns {Promise<Object|null>} - The Call record
+ */
+async function processTwilioRecording({ callSid, recordingUrl, durationSeconds, from, to }) {
+  const logPrefix = `[${callSid}]`;
+
+  const response = await axios.get(`${recordingUrl}.wav`, {
+    responseType: 'arraybuffer',
+    auth: { username: process.env.TWILIO_ACCOUNT_SID, password: process.env.TWILIO_AUTH_TOKEN }
+  });
+  const audio = Buffer.from(response.data);
+
+  const datePath = new Date().toISOString().substring(0, 10).replace(/-/g, '/');
+  const { storage, location } = await recordingStorage.saveRecording(`voicemail/${datePath}/${callSid}.wav`, audio);
+
+  const result = await speechToText.transcribe(audio, { contentType: 'audio/wav', filename: `${callSid}.wav` });
+  if (!result) {
+    logger.warn(`${logPrefix} Voicemail could not be transcribed. Storing the recording only.`);
+  }
+
+  return saveVoicemail({
+    callId: callSid,
+    from,
+    to,
+    provider: 'twilio',
+    transcription: result ? result.text : null,
+    transcriber: result ? result.transcriber : null,
+    recording: { storage, location, durationSeconds }
+  });
+}
+
+module.exports = {
+  GREETING,
+  buildRecordTwiml,
+  buildDoneTwiml,
+  redirectToVoicemail,
+  saveVoicemail,
+  processTwilioRecording
+};
@@ -0,0 +1,138 @@
+/**
+ * Voicemail Drop
+ *
+ * Twilio answering-machine detection (AMD) settings for outbound calls, and the
+ * voicemail drop used when a machine answers: the live agent session is ended,
+ * a short per-lead message is synthesized with ElevenLabs TTS, and the call is
+ * redirected to play it after the beep and hang up.
+ */
+
+const twilio = require('twilio');
+const logger = require('./logger');
+const elevenlabs = require('./elevenlabsClient');
+const { redisClient, sessionManager } = require('./redisClient');
+const { renderTemplate } = require('./personalization');
+
+const twilioClient = twilio(
+  process.env.TWILIO_ACCOUNT_SID,
+  process.env.TWILIO_AUTH_TOKEN
+);
+
+const AMD_ENABLED = process.env.AMD_ENABLED !== 'false';
+
+// Twilio AnsweredBy values that mean the beep has passed and a message can be left
+const MACHINE_END_RESULTS = ['machine_end_beep', 'machine_end_silence', 'machine_end_other'];
+
+const VOICEMAIL_TEMPLATE = process.env.VOICEMAIL_MESSAGE ||
+  'Hi {{name}}, sorry we missed you. Please give us a call back at {{callbackNumber}} when you have a moment. Thanks!';
+
+const VOICEMAIL_AUDIO_PREFIX = 'voicemail_audio:';
+const VOICEMAIL_AUDIO_TTL = 600; // Only needs to live until Twilio fetches it
+
+/**
+ * Extra calls.create options that turn on asynchronous AMD
+ * @param {string} callbackUrl - URL Twilio posts the AMD result to
+ * @returns {Object} - Empty when AMD is disabled
+ */
+function getAmdCallOptions(callbackUrl) {
+  if (!AMD_ENABLED) {
+    return {};
+  }
+  return {
+    machineDetection: 'DetectMessageEnd',
+    asyncAmd: 'true',
+    asyncAmdStatusCallback: callbackUrl,
+    asyncAmdStatusCallbackMethod: 'POST'
+  };
+}
+
+/**
+ * Check whether an AMD result means a voicemail box answered
+ * @param {string} answeredBy - Twilio AnsweredBy value
+ * @returns {boolean}
+ */
+function isMachine(answeredBy) {
+  return MACHINE_END_RESULTS.includes(answeredBy);
+}
+
+/**
+ * Build the voicemail text for a call
+ * @param {Object} callInfo - The outbound session from Redis
+ * @returns {string}
+ */
+function renderVoicemailMessage(callInfo) {
+  return renderTemplate(callInfo.voicemailMessage || VOICEMAIL_TEMPLATE, {
+    ...(callInfo.variables || {}),
+    name: callInfo.leadName || (callInfo.variables && callInfo.variables.name) || '',
+    callbackNumber: callInfo.from || process.env.TWILIO_PHONE_NUMBER || ''
+  });
+}
+
+/**
+ * Fetch synthesized voicemail audio for a session
+ * @param {string} sessionId - The outbound session ID
+ * @returns {Promise<Buffer|null>} - MP3 audio
+ */
+async function getVoicemailAudio(sessionId) {
+  const audioBase64 = await redisClient.get(`${VOICEMAIL_AUDIO_PREFIX}${sessionId}`);
+  return audioBase64 ? Buffer.from(audioBase64, 'base64') : null;
+}
+
+/**
+ * Replace the live agent with a voicemail message on a machine-answered call
+ * @param {string} sessionId - The outbound session ID
+ * @param {Object} callInfo - The outbound session from Redis
+ * @param {string} callSid - Twilio Call SID
+ * @returns {Promise<boolean>} - True if the call was redirected to the voicemail
+ */
+async function dropVoicemail(sessionId, callInfo, callSid) {
+  const logPrefix = `[${sessionId}/${callSid}]`;
+
+  // The agent must not keep talking to the machine
+  await elevenlabs.endConversation(sessionId);
+
+  const message = renderVoicemailMessage(callInfo);
+  const twiml = new twilio.twiml.VoiceResponse();
+  try {
+    // Same voice and model as the live agent on this call
+    const audio = await elevenlabs.textToSpeech(message, callInfo.voiceId || undefined, {
+      modelId: callInfo.modelId || undefined
+    });
+    await redisClient.set(`${VOICEMAIL_AUDIO_PREFIX}${sessionId}`, Buffer.from(audio).toString('base64'), {
+      EX: VOICEMAIL_AUDIO_TTL
+    });
+    const httpBase = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+    twiml.play(`${httpBase}/api/outbound/voicemail/${sessionId}.mp3`);
+  } catch (error) {
+    // Still leave a message, just not in the agent's voice
+    logger.error(`${logPrefix} Voicemail synthesis failed, falling back to <Say>:`, error.message);
+    twiml.say(message);
+  }
+  twiml.hangup();
+
+  try {
+    await twilioClient.calls(callSid).update({ twiml: twiml.toString() });
+  } catch (error) {
+    logger.error(`${logPrefix} Failed to redirect call to voicemail:`, error);
+    return false;
+  }
+
+  // Re-read the session: endConversation may have flagged it for termination
+  const latest = await sessionManager.getOutboundSession(sessionId) || callInfo;
+  await sessionManager.saveOutboundSession(sessionId, {
+    ...latest,
+    disposition: 'voicemail_left',
+    voicemailMessage: message
+  });
+  logger.info(`${logPrefix} Voicemail dropped (${message.length} chars).`);
+  return true;
+}
+
+module.exports = {
+  AMD_ENABLED,
+  getAmdCallOptions,
+  isMachine,
+  renderVoicemailMessage,
+  getVoicemailAudio,
+  dropVoicemail
+};
@@ -0,0 +1,205 @@
+/**
+ * Lifecycle Webhooks
+ *
+ * Posts call lifecycle events (`call.queued`, `call.ringing`, `call.answered`,
+ * `call.completed`, `call.failed`, `transcript.ready`) to the call's
+ * n8nWorkflowUrl, and `voicemail.received` for inbound voicemails to
+ * INBOUND_WEBHOOK_URL. Deliveries go through a BullMQ queue processed by
+ * queueWorker.js, so failed posts are retried with exponential backoff.
+ *
+ * Every request carries:
+ *   X-Webhook-Id         Delivery ID (stable across retries, use it to dedupe)
+ *   X-Webhook-Event      Event name
+ *   X-Webhook-Timestamp  Unix seconds when this attempt was sent
+ *   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>"> keyed with WEBHOOK_SIGNING_SECRET
+ *
+ * Each attempt is signed when it is sent, so retries carry a fresh timestamp.
+ * Without WEBHOOK_SIGNING_SECRET nothing is sent: unsigned deliveries are refused.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { Queue, UnrecoverableError } = require('bullmq');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const { redisConnectionOptions } = require('./redisClient');
+
+const WEBHOOK_QUEUE_NAME = 'webhook-deliveries';
+
+const EVENTS = ['call.queued', 'call.ringing', 'call.answered', 'call.completed', 'call.failed', 'transcript.ready', 'voicemail.received'];
+
+// Twilio status callback values -> lifecycle events
+const CALL_STATUS_EVENTS = {
+  ringing: 'call.ringing',
+  'in-progress': 'call.answered',
+  completed: 'call.completed',
+  busy: 'call.failed',
+  'no-answer': 'call.failed',
+  failed: 'call.failed',
+  canceled: 'call.failed'
+};
+
+const SIGNING_SECRET = process.env.WEBHOOK_SIGNING_SECRET || '';
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const BACKOFF_MS = parseInt(process.env.WEBHOOK_BACKOFF_MS, 10) || 5000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+if (!SIGNING_SECRET) {
+  logger.warn('WEBHOOK_SIGNING_SECRET is not set. Lifecycle webhooks are disabled.');
+}
+
+const webhookQueue = new Queue(WEBHOOK_QUEUE_NAME, {
+  connection: redisConnectionOptions,
+  defaultJobOptions: {
+    attempts: MAX_ATTEMPTS,
+    backoff: { type: 'exponential', delay: BACKOFF_MS },
+    removeOnComplete: 1000,
+    removeOnFail: 5000
+  }
+});
+
+/**
+ * Check that a webhook URL can be delivered to
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isValidWebhookUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'https:' || protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Sign a delivery
+ * @param {string} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} - "sha256=<hex>"
+ */
+function signPayload(timestamp, body) {
+  const digest = crypto.createHmac('sha256', SIGNING_SECRET).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Queue an event for delivery
+ * @param {string|null} url - The call's n8nWorkflowUrl; nothing is sent without one
+ * @param {string} event - One of EVENTS
+ * @param {Object} data - Event payload
+ * @returns {Promise<string|null>} - Delivery ID, or null if nothing was queued
+ */
+async function emitEvent(url, event, data) {
+  if (!url) {
+    return null;
+  }
+  if (!isValidWebhookUrl(url)) {
+    logger.warn(`[Webhook] Not sending ${event}: invalid URL ${url}`);
+    return null;
+  }
+  if (!SIGNING_SECRET) {
+    logger.warn(`[Webhook] Not sending ${event} to ${url}: WEBHOOK_SIGNING_SECRET is not set`);
+    return null;
+  }
+
+  const deliveryId = uuidv4();
+  // Serialized once so every retry sends identical bytes
+  const body = JSON.stringify({ id: deliveryId, event, createdAt: new Date().toISOString(), data });
+
+  try {
+    await webhookQueue.add(event, { deliveryId, url, event, body }, { jobId: deliveryId });
+    return deliveryId;
+  } catch (error) {
+    logger.error(`[Webhook] Error queueing ${event} for ${url}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Common payload for call lifecycle events
+ * @param {Object} callInfo - The outbound session from Redis (or job data before the call exists)
+ * @param {Object} [extra] - Event-specific fields
+ * @returns {Object}
+ */
+function buildCallPayload(callInfo, extra = {}) {
+  return {
+    sessionId: callInfo.sessionId || null,
+    callSid: callInfo.callSid || null,
+    jobId: callInfo.jobId || null,
+    campaignId: callInfo.campaignId || null,
+    leadId: callInfo.leadId || null,
+    to: callInfo.to,
+    from: callInfo.from || null,
+    attempt: parseInt(callInfo.attempt, 10) || 1,
+    ...extra
+  };
+}
+
+/**
+ * Queue the lifecycle event for a Twilio status callback, if it maps to one
+ * @param {string} sessionId - The outbound session ID
+ * @param {Object} callInfo - The outbound session from Redis
+ * @param {string} callStatus - Twilio CallStatus
+ * @param {Object} [extra] - Extra payload fields
+ * @returns {Promise<string|null>}
+ */
+async function emitCallStatus(sessionId, callInfo, callStatus, extra = {}) {
+  const event = CALL_STATUS_EVENTS[callStatus];
+  if (!event) {
+    return null;
+  }
+  return emitEvent(callInfo.n8nWorkflowUrl, event, buildCallPayload({ ...callInfo, sessionId }, { status: callStatus, ...extra }));
+}
+
+/**
+ * BullMQ processor: sign and POST one delivery
+ * 4xx responses (other than 408 and 429) are not retried.
+ * @param {import('bullmq').Job} job
+ */
+async function deliverWebhook(job) {
+  const { deliveryId, url, event, body } = job.data;
+  if (!SIGNING_SECRET) {
+    throw new UnrecoverableError(`Not sending ${event} unsigned: WEBHOOK_SIGNING_SECRET is not set`);
+  }
+
+  // Signed per attempt, so a retry hours later is still inside the receiver's tolerance window
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'voice-agents-webhooks/1.0',
+    'X-Webhook-Id': deliveryId,
+    'X-Webhook-Event': event,
+    'X-Webhook-Timestamp': timestamp,
+    'X-Webhook-Signature': signPayload(timestamp, body)
+  };
+
+  try {
+    const response = await axios.post(url, body, {
+      headers,
+      timeout: TIMEOUT_MS,
+      // Keep the body byte-for-byte as signed
+      transformRequest: [data => data]
+    });
+    logger.info(`[Webhook ${deliveryId}] Delivered ${event} to ${url} (HTTP ${response.status}, attempt ${job.attemptsMade + 1})`);
+    return { status: response.status };
+  } catch (error) {
+    const status = error.response && error.response.status;
+    if (status && status >= 400 && status < 500 && status !== 408 && status !== 429) {
+      throw new UnrecoverableError(`Receiver rejected ${event} with HTTP ${status}`);
+    }
+    throw new Error(`Delivery of ${event} failed: ${status ? `HTTP ${status}` : error.message}`);
+  }
+}
+
+module.exports = {
+  WEBHOOK_QUEUE_NAME,
+  EVENTS,
+  webhookQueue,
+  isValidWebhookUrl,
+  signPayload,
+  emitEvent,
+  buildCallPayload,
+  emitCallStatus,
+  deliverWebhook
+};
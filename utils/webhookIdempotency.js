@@ -0,0 +1,150 @@
+/**
+ * Idempotent Webhook Processing
+ *
+ * OpenPhone and Twilio retry webhooks that time out or fail, and a retried
+ * "ringing" event must not start a second agent session. The `idempotent`
+ * middleware claims each event's key in Redis (SET NX with a TTL) before the
+ * route runs and stores the route's response under it. A duplicate delivery
+ * gets the stored response back without running the route again. If the
+ * original delivery is still being processed, the duplicate gets a 409 and
+ * the provider retries later.
+ *
+ * Responses with a 5xx status release the key, so a retry is processed again.
+ * If Redis is unavailable the route runs without de-duplication.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const { redisClient } = require('./redisClient');
+
+const KEY_PREFIX = 'webhook_event:';
+const TTL_SECONDS = parseInt(process.env.WEBHOOK_IDEMPOTENCY_TTL_SECONDS, 10) || 24 * 3600;
+const PROCESSING = 'processing';
+
+/**
+ * OpenPhone event ID if the payload has one, otherwise callId + state
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function openPhoneCallStateKey(req) {
+  const { id, callId, state } = req.body || {};
+  if (id) {
+    return `openphone:event:${id}`;
+  }
+  return callId && state ? `openphone:${req.path}:${callId}:${state}` : null;
+}
+
+/**
+ * OpenPhone event ID if the payload has one, otherwise a hash of the raw body
+ * (for events such as voice input that have no state to key on)
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function openPhoneEventKey(req) {
+  const { id } = req.body || {};
+  if (id) {
+    return `openphone:event:${id}`;
+  }
+  if (!req.rawBody) {
+    return null;
+  }
+  return `openphone:${req.path}:${crypto.createHash('sha256').update(req.rawBody).digest('hex')}`;
+}
+
+/**
+ * Twilio's idempotency token if sent, otherwise CallSid + CallStatus
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function twilioCallStatusKey(req) {
+  const token = req.get('I-Twilio-Idempotency-Token');
+  if (token) {
+    return `twilio:token:${token}`;
+  }
+  const { CallSid, CallStatus } = req.body || {};
+  return CallSid ? `twilio:${req.baseUrl}${req.path}:${CallSid}:${CallStatus || ''}` : null;
+}
+
+/**
+ * Store the response a route sends once it has finished
+ */
+function captureResponse(res, key) {
+  const send = res.send;
+  let body;
+  res.send = function (payload) {
+    body = Buffer.isBuffer(payload) ? payload.toString() : payload;
+    return send.apply(this, arguments);
+  };
+
+  res.on('finish', () => {
+    if (res.statusCode >= 500) {
+      // Let the provider's retry run the route again
+      redisClient.del(key).catch(error => {
+        logger.error(`[Idempotency] Error releasing ${key}:`, error);
+      });
+      return;
+    }
+    const stored = JSON.stringify({
+      statusCode: res.statusCode,
+      contentType: res.get('Content-Type') || null,
+      body: body === undefined ? null : String(body)
+    });
+    redisClient.set(key, stored, { EX: TTL_SECONDS }).catch(error => {
+      logger.error(`[Idempotency] Error storing response for ${key}:`, error);
+    });
+  });
+}
+
+/**
+ * Express middleware factory: process each webhook event once
+ * @param {Function} getKey - (req) => event key, or null to skip de-duplication
+ * @returns {Function}
+ */
+function idempotent(getKey) {
+  return async (req, res, next) => {
+    const eventKey = getKey(req);
+    if (!eventKey) {
+      return next();
+    }
+    const key = `${KEY_PREFIX}${eventKey}`;
+
+    let claimed;
+    try {
+      claimed = await redisClient.set(key, PROCESSING, { NX: true, EX: TTL_SECONDS });
+    } catch (error) {
+      logger.error(`[Idempotency] Error claiming ${key}, processing without de-duplication:`, error);
+      return next();
+    }
+
+    if (claimed) {
+      captureResponse(res, key);
+      return next();
+    }
+
+    try {
+      const existing = await redisClient.get(key);
+      if (!existing || existing === PROCESSING) {
+        logger.warn(`[Idempotency] Duplicate ${req.method} ${req.originalUrl} (${eventKey}) while the original is still processing.`);
+        return res.status(409).set('Retry-After', '5').json({ error: 'Event is already being processed' });
+      }
+
+      const { statusCode, contentType, body } = JSON.parse(existing);
+      logger.info(`[Idempotency] Replaying response for duplicate ${req.method} ${req.originalUrl} (${eventKey}).`);
+      res.status(statusCode).set('Idempotent-Replayed', 'true');
+      if (contentType) {
+        res.set('Content-Type', contentType);
+      }
+      return body === null ? res.end() : res.send(body);
+    } catch (error) {
+      logger.error(`[Idempotency] Error replaying ${key}:`, error);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  };
+}
+
+module.exports = {
+  openPhoneCallStateKey,
+  openPhoneEventKey,
+  twilioCallStatusKey,
+  idempotent
+};